@@ -1,8 +1,19 @@
 // app.js - Fixed version (using older architecture)
-import LetterDatabase from './database.js';
+import assetService from './assetService.js';
+import { LocalFolderSource, DroppedFilesSource, ZipPackSource, LocalPackSource } from './assetSources.js';
+import ContributionPanel from './contributionPanel.js';
+import { buildCredits, formatCoordinates, formatCreditsText } from './credits.js';
+import { classifyCharacter, letterFolder } from './characters.js';
+import MapView from './mapView.js';
+import { buildCoverage, buildShoppingList, formatCoverageCsv, formatShoppingList } from './coverage.js';
+import CoverageReport from './coverageReport.js';
+import ProjectManager, { PROJECT_EXTENSION } from './project.js';
+import { createPermalink, decodePermalink } from './permalink.js';
 import LetterSelector from './letterSelector.js';
 import VisualRenderer from './renderer.js';
-import { createLogger, debounce } from './utils.js';
+import styleRegistry from './styleRegistry.js';
+import VariantPicker from './variantPicker.js';
+import { createLogger, debounce, downloadBlob, generateSeed } from './utils.js';
 import config from './config.js';
 
 // Create logger
@@ -15,30 +26,516 @@ document.addEventListener('DOMContentLoaded', async () => {
   const userTextInput     = document.getElementById('user-text');
   const fontStyleSelect   = document.getElementById('font-style');
   const locationSelect    = document.getElementById('location');
+  const cityMixControl    = document.getElementById('city-mix');
+  const cityWeightsEl     = document.getElementById('city-weights');
   const caseOptionSelect  = document.getElementById('case-option');
   const generateBtn       = document.getElementById('generate-btn');
   const exportBtn         = document.getElementById('export-btn');
   const shareBtn          = document.getElementById('share-btn');
+  const exportSvgBtn      = document.getElementById('export-svg-btn');
+  const exportPdfBtn      = document.getElementById('export-pdf-btn');
+  const creditsFormatSelect = document.getElementById('credits-format');
+  const mapCanvas         = document.getElementById('map-canvas');
+  const mapStatusEl       = document.getElementById('map-status');
+  const mapLegendCheckbox = document.getElementById('map-legend');
   const outputContainer   = document.getElementById('output-container');
   const canvasContainer   = document.getElementById('p5-canvas-container');
+  const coverageBtn       = document.getElementById('coverage-btn');
   const testPathsBtn      = document.getElementById('test-paths-btn');
+  const cacheStatsToggle  = document.getElementById('cache-stats-toggle');
   const fontSizeToggle    = document.getElementById('size-toggle');
+  const formatOptionsEl   = document.getElementById('format-options');
+  const layoutModeSelect  = document.getElementById('layout-mode');
+  const layoutAlignSelect = document.getElementById('layout-align');
+  const layoutVAlignSelect = document.getElementById('layout-valign');
+  const layoutWidthsSelect = document.getElementById('layout-widths');
+  const trackingInput     = document.getElementById('layout-tracking');
+  const trackingValueEl   = document.getElementById('layout-tracking-value');
+  const glyphModeSelect   = document.getElementById('glyph-mode');
+  const fallbackDistressCheckbox = document.getElementById('fallback-distress');
+  const sourceListEl      = document.getElementById('source-list');
+  const addFolderBtn      = document.getElementById('add-folder-btn');
+  const addPackBtn        = document.getElementById('add-pack-btn');
+  const folderInput       = document.getElementById('folder-input');
+  const packInput         = document.getElementById('pack-input');
+  const contributeBtn     = document.getElementById('contribute-btn');
+  const downloadPackBtn   = document.getElementById('download-pack-btn');
+  const canvasArea        = document.querySelector('.canvas-container');
+  const autoLevelsCheckbox = document.getElementById('adjust-auto-levels');
+  const colorModeSelect   = document.getElementById('adjust-color-mode');
+  const contrastInput     = document.getElementById('adjust-contrast');
+  const saturationInput   = document.getElementById('adjust-saturation');
+  const tintSelect        = document.getElementById('adjust-tint');
+  const tintAmountInput   = document.getElementById('adjust-tint-amount');
+  const seedInput         = document.getElementById('seed-input');
+  const seedRerollBtn     = document.getElementById('seed-reroll');
+  const seedLockCheckbox  = document.getElementById('seed-lock');
+  const undoBtn           = document.getElementById('undo-btn');
+  const redoBtn           = document.getElementById('redo-btn');
+  const snapshotSelect    = document.getElementById('snapshot-select');
+  const snapshotSaveBtn   = document.getElementById('snapshot-save-btn');
+  const snapshotRestoreBtn = document.getElementById('snapshot-restore-btn');
+  const snapshotDeleteBtn = document.getElementById('snapshot-delete-btn');
+  const projectExportBtn  = document.getElementById('project-export-btn');
+  const projectImportBtn  = document.getElementById('project-import-btn');
+  const projectInput      = document.getElementById('project-input');
+  const projectStatusEl   = document.getElementById('project-status');
 
   // Disable buttons initially
   if (exportBtn) exportBtn.disabled = true;
   if (shareBtn) shareBtn.disabled = true;
+  if (exportSvgBtn) exportSvgBtn.disabled = true;
+  if (exportPdfBtn) exportPdfBtn.disabled = true;
 
   // Instantiate your classes - DIRECT INITIALIZATION like the old version
-  const database = new LetterDatabase();
-  const selector = new LetterSelector(database);
+  const assets = assetService;
+  const selector = new LetterSelector(assets);
   const renderer = new VisualRenderer('p5-canvas-container');
+  const variantPicker = new VariantPicker();
+  const contributionPanel = new ContributionPanel();
+  const mapView = mapCanvas ? new MapView(mapCanvas) : null;
+  const coverageReport = new CoverageReport();
+  // Letters the user cropped in the contribution panel, kept between visits
+  const localPack = new LocalPackSource();
+  // Text, settings and letter choices: autosaved, undoable, exportable
+  const projects = new ProjectManager({
+    getState: getProjectState,
+    applyState: applyProjectState,
+    onChange: updateProjectButtons
+  });
+  
+  // Letter objects of the current composition, by character position
+  let currentLetters = [];
+  // Positions whose photo the user picked: position → { value, path, style, city }
+  const lockedLetters = new Map();
+  // Positions with their own tuning: position → { value, settings: { cutout?, adjustments? } }
+  const letterSettings = new Map();
 
   // Initialize font size from config
   let currentFontSize = config.defaults.fontSize || 'small';
   
+  // Poster format (key of config.canvasFormats)
+  let currentFormat = config.defaults.canvasFormat;
+  
+  // Fill the format grid from config.canvasFormats
+  function populateFormatOptions() {
+    if (!formatOptionsEl) return;
+    
+    formatOptionsEl.innerHTML = '';
+    for (const [key, format] of Object.entries(config.canvasFormats)) {
+      const option = document.createElement('div');
+      option.className = 'option';
+      option.dataset.format = key;
+      option.textContent = `${format.width}″ × ${format.height}″`;
+      option.addEventListener('click', () => {
+        selectFormat(key);
+        projects.record();
+      });
+      formatOptionsEl.appendChild(option);
+    }
+  }
+  
+  // Resize the canvas frame to a poster format
+  function selectFormat(formatKey) {
+    const format = config.canvasFormats[formatKey];
+    if (!format) return;
+    
+    currentFormat = formatKey;
+    
+    // Swap the container's size class
+    if (canvasContainer) {
+      Object.values(config.canvasFormats).forEach(f => canvasContainer.classList.remove(f.className));
+      canvasContainer.classList.add(format.className);
+    }
+    
+    if (formatOptionsEl) {
+      formatOptionsEl.querySelectorAll('.option').forEach(el => {
+        el.classList.toggle('selected', el.dataset.format === formatKey);
+      });
+    }
+    
+    renderer.setFormat(formatKey);
+    logger.log(`Canvas format changed to: ${formatKey}`);
+  }
+  
+  populateFormatOptions();
+  selectFormat(currentFormat);
+  
+  // Layout controls start from config.layout and only change the arrangement,
+  // so they redraw without selecting new letters
+  const layoutControls = [
+    [layoutModeSelect, 'mode'],
+    [layoutAlignSelect, 'align'],
+    [layoutVAlignSelect, 'verticalAlign']
+  ];
+  for (const [select, option] of layoutControls) {
+    if (!select) continue;
+    select.value = config.layout[option];
+    select.addEventListener('change', () => {
+      renderer.setLayoutOptions({ [option]: select.value });
+      projects.record();
+    });
+  }
+  
+  if (layoutWidthsSelect) {
+    layoutWidthsSelect.value = config.layout.proportional ? 'proportional' : 'fixed';
+    layoutWidthsSelect.addEventListener('change', () => {
+      renderer.setLayoutOptions({ proportional: layoutWidthsSelect.value === 'proportional' });
+      projects.record();
+    });
+  }
+  
+  // Cutouts are computed by the asset service so they are cached per photo
+  renderer.cutoutLoader = (path, options) => assets.loadCutout(path, options);
+  if (glyphModeSelect) {
+    glyphModeSelect.value = renderer.glyphMode;
+    glyphModeSelect.addEventListener('change', () => {
+      renderer.setGlyphMode(glyphModeSelect.value);
+      projects.record();
+    });
+  }
+  
+  // Letters without photos are generated; distress makes them look worn like the real signs
+  if (fallbackDistressCheckbox) {
+    fallbackDistressCheckbox.checked = renderer.fallbackOptions.distress > 0;
+    fallbackDistressCheckbox.addEventListener('change', () => {
+      renderer.setFallbackOptions({
+        distress: fallbackDistressCheckbox.checked ? config.fallbackGlyphs.distress || 0.35 : 0
+      });
+      projects.record();
+    });
+  }
+  
+  // Adjustments apply to every photo of the composition and only redraw
+  const adjustmentDefaults = config.adjustments.defaults;
+  if (tintSelect) {
+    tintSelect.innerHTML = '<option value="">None</option>' + config.adjustments.palette
+      .map(color => `<option value="${color.value}">${color.label}</option>`)
+      .join('');
+    tintSelect.value = adjustmentDefaults.tint || '';
+    tintSelect.addEventListener('change', () => {
+      renderer.setAdjustments({ tint: tintSelect.value || null });
+      projects.record();
+    });
+  }
+  if (autoLevelsCheckbox) {
+    autoLevelsCheckbox.checked = adjustmentDefaults.autoLevels;
+    autoLevelsCheckbox.addEventListener('change', () => {
+      renderer.setAdjustments({ autoLevels: autoLevelsCheckbox.checked });
+      projects.record();
+    });
+  }
+  if (colorModeSelect) {
+    colorModeSelect.value = adjustmentDefaults.colorMode;
+    colorModeSelect.addEventListener('change', () => {
+      renderer.setAdjustments({ colorMode: colorModeSelect.value });
+      projects.record();
+    });
+  }
+  const adjustmentSliders = [
+    [contrastInput, 'contrast'],
+    [saturationInput, 'saturation'],
+    [tintAmountInput, 'tintAmount']
+  ];
+  for (const [input, option] of adjustmentSliders) {
+    if (!input) continue;
+    input.value = adjustmentDefaults[option];
+    // Recompute on release; photos are re-processed for every new value
+    input.addEventListener('change', () => {
+      renderer.setAdjustments({ [option]: Number(input.value) });
+      projects.record();
+    });
+  }
+  
+  if (trackingInput) {
+    trackingInput.value = config.layout.tracking;
+    if (trackingValueEl) trackingValueEl.textContent = trackingInput.value;
+    // One undo step per drag, not per pixel
+    const recordTracking = debounce(() => projects.record(), 400);
+    trackingInput.addEventListener('input', () => {
+      if (trackingValueEl) trackingValueEl.textContent = trackingInput.value;
+      renderer.setLayoutOptions({ tracking: Number(trackingInput.value) });
+      recordTracking();
+    });
+  }
+  
+  // Seed for letter selection; re-renders reuse it so the poster stays the same
+  let currentSeed = generateSeed();
+  if (seedInput) seedInput.value = currentSeed;
+  
+  // Replace the seed with a fresh random one
+  function rerollSeed() {
+    currentSeed = generateSeed();
+    if (seedInput) seedInput.value = currentSeed;
+    logger.log(`New seed: ${currentSeed}`);
+  }
+  
+  // Take a seed typed by the user
+  function applySeedInput() {
+    const typed = seedInput.value.trim().toUpperCase();
+    if (!typed) {
+      seedInput.value = currentSeed;
+      return false;
+    }
+    
+    seedInput.value = typed;
+    if (typed === currentSeed) return false;
+    
+    currentSeed = typed;
+    return true;
+  }
+  
+  // Fill the style selector from the style registry
+  function populateStyleOptions() {
+    if (!fontStyleSelect) return;
+    
+    const current = fontStyleSelect.value || config.defaults.fontStyle;
+    fontStyleSelect.innerHTML = '';
+    
+    for (const style of styleRegistry.getStyles()) {
+      fontStyleSelect.add(new Option(style.label, style.value));
+    }
+    fontStyleSelect.add(new Option('Random Mix', 'random'));
+    
+    fontStyleSelect.value = current;
+  }
+  
+  populateStyleOptions();
+  
+  // Fill the location selector with the cities that have asset packs
+  function populateCityOptions() {
+    if (!locationSelect) return;
+    
+    const cities = assets.getCities();
+    const current = locationSelect.value || config.defaults.city;
+    locationSelect.innerHTML = '';
+    
+    for (const city of cities) {
+      locationSelect.add(new Option(config.cityLabels[city] || city, city));
+    }
+    
+    // Mixing only makes sense with more than one city
+    if (cities.length > 1) {
+      locationSelect.add(new Option('Mix Cities', LetterSelector.MIX_CITIES));
+    }
+    
+    locationSelect.value = cities.includes(current) || current === LetterSelector.MIX_CITIES
+      ? current
+      : cities[0];
+    
+    // One weight input per city for mix mode
+    if (cityWeightsEl) {
+      cityWeightsEl.innerHTML = '';
+      for (const city of cities) {
+        // City names can come from user folders and packs, so never parse them as HTML
+        const row = document.createElement('label');
+        row.className = 'city-weight';
+        const name = document.createElement('span');
+        name.textContent = config.cityLabels[city] || city;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.max = '10';
+        input.step = '1';
+        input.value = '1';
+        input.dataset.city = city;
+        row.append(name, input);
+        cityWeightsEl.appendChild(row);
+      }
+    }
+    
+    updateCityMixVisibility();
+  }
+  
+  // Show the weight inputs only in mix mode
+  function updateCityMixVisibility() {
+    if (!cityMixControl || !locationSelect) return;
+    cityMixControl.hidden = locationSelect.value !== LetterSelector.MIX_CITIES;
+  }
+  
+  // Read the mix mode weights as { city: weight }
+  function getCityWeights() {
+    const weights = {};
+    if (!cityWeightsEl) return weights;
+    
+    cityWeightsEl.querySelectorAll('input[data-city]').forEach(input => {
+      weights[input.dataset.city] = Math.max(0, Number(input.value) || 0);
+    });
+    return weights;
+  }
+  
+  // Cities are known once the manifest has loaded (or failed to)
+  const sourcesReady = assets.ready.then(async () => {
+    try {
+      await assets.addSource(localPack);
+    } catch (error) {
+      logger.error('ERROR: Could not load saved contributions', error);
+    }
+    populateCityOptions();
+    renderSourceList();
+  });
+  
+  // List the photo sources in use; user-added ones can be removed
+  function renderSourceList() {
+    if (!sourceListEl) return;
+    
+    sourceListEl.innerHTML = '';
+    for (const source of assets.getSources()) {
+      const item = document.createElement('li');
+      item.innerHTML = `<span></span><span class="source-count">${source.images} photos</span>`;
+      item.firstChild.textContent = source.name;
+      
+      if (source.kind !== 'bundled' && source.kind !== 'local') {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.title = 'Remove';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+          assets.removeSource(source.id);
+          sourcesChanged();
+        });
+        item.appendChild(remove);
+      }
+      sourceListEl.appendChild(item);
+    }
+  }
+  
+  // Index a new source, then refresh everything that depends on the asset index
+  async function addAssetSource(source) {
+    try {
+      const { images, skipped } = await assets.addSource(source);
+      logger.log(`Added ${source.name}: ${images} photos, ${skipped.length} skipped`);
+      if (images === 0) {
+        showErrorMessage(outputContainer, `No usable photos found in ${source.name}.`, true);
+      } else if (skipped.length > 0) {
+        showErrorMessage(outputContainer,
+          `${skipped.length} photo(s) in ${source.name} could not be matched to a character and style.`, true);
+      }
+      sourcesChanged();
+    } catch (error) {
+      logger.error(`ERROR: Failed to add ${source.name}`, error);
+      showErrorMessage(outputContainer, `Could not read ${source.name}: ${error.message}`);
+    }
+  }
+  
+  function sourcesChanged() {
+    // New photos can change any pick
+    lastSelection = { key: null, letters: [] };
+    populateCityOptions();
+    renderSourceList();
+    updateCanvas();
+  }
+  
+  if (addFolderBtn) {
+    addFolderBtn.addEventListener('click', async () => {
+      // Prefer the File System Access API; fall back to a directory input
+      if (window.showDirectoryPicker) {
+        try {
+          const handle = await window.showDirectoryPicker();
+          addAssetSource(new LocalFolderSource(handle));
+        } catch (error) {
+          if (error.name !== 'AbortError') {
+            logger.error('ERROR: Could not open folder', error);
+          }
+        }
+      } else if (folderInput) {
+        folderInput.click();
+      }
+    });
+  }
+  
+  if (folderInput) {
+    folderInput.addEventListener('change', () => {
+      if (folderInput.files.length > 0) {
+        addAssetSource(new LocalFolderSource([...folderInput.files]));
+      }
+      folderInput.value = '';
+    });
+  }
+  
+  if (addPackBtn && packInput) {
+    addPackBtn.addEventListener('click', () => packInput.click());
+    packInput.addEventListener('change', () => {
+      if (packInput.files[0]) {
+        addAssetSource(new ZipPackSource(packInput.files[0]));
+      }
+      packInput.value = '';
+    });
+  }
+  
+  // Crop a street photo into a new letter variant
+  if (contributeBtn) {
+    contributeBtn.addEventListener('click', () => {
+      const location = locationSelect ? locationSelect.value : config.defaults.city;
+      contributionPanel.open({
+        styles: styleRegistry.getStyles(),
+        cities: assets.getCities(),
+        style: fontStyleSelect && fontStyleSelect.value !== 'random' ? fontStyleSelect.value : config.defaults.fontStyle,
+        city: location === LetterSelector.MIX_CITIES ? config.defaults.city : location,
+        onSave: saveContribution
+      });
+    });
+  }
+  
+  // Store a cropped letter under the next free variant number and make it
+  // available to the letter selector straight away
+  async function saveContribution({ blob, character, style, city, width, height, sourceFile, corners, credits }) {
+    const relativePath = assets.getContributionPath(character, style, city);
+    if (!relativePath) {
+      throw new Error(`"${character}" has no folder in the asset layout`);
+    }
+    
+    const caseType = classifyCharacter(character) === 'letter' ? letterFolder(character).caseType : null;
+    const persisted = await localPack.save({
+      relativePath,
+      blob,
+      metadata: {
+        character, style, caseType, city, width, height, sourceFile, corners, ...credits,
+        createdAt: new Date().toISOString()
+      }
+    });
+    
+    await assets.reloadSource(localPack.id);
+    sourcesChanged();
+    
+    const where = relativePath.split('/').slice(-3).join('/');
+    return persisted
+      ? `Saved "${character}" as ${where}.`
+      : `Added "${character}" as ${where} for this visit; the browser would not store it.`;
+  }
+  
+  if (downloadPackBtn) {
+    downloadPackBtn.addEventListener('click', async () => {
+      const zip = await localPack.toZip();
+      downloadBlob(zip, 'streettype-contributions.zip');
+    });
+  }
+  
+  // Drop photos, folders or zip packs onto the poster area
+  if (canvasArea) {
+    canvasArea.addEventListener('dragover', event => {
+      if (![...event.dataTransfer.types].includes('Files')) return;
+      event.preventDefault();
+      canvasArea.classList.add('drop-target');
+    });
+    canvasArea.addEventListener('dragleave', () => canvasArea.classList.remove('drop-target'));
+    canvasArea.addEventListener('drop', event => {
+      event.preventDefault();
+      canvasArea.classList.remove('drop-target');
+      
+      const files = [...event.dataTransfer.files];
+      const packs = files.filter(file => /\.zip$/i.test(file.name));
+      packs.forEach(pack => addAssetSource(new ZipPackSource(pack)));
+      if (packs.length < files.length) {
+        addAssetSource(new DroppedFilesSource(event.dataTransfer));
+      }
+    });
+  }
+  
   // Show loading indicator
   function showLoading() {
     logger.log("Showing loading indicator");
+    showingLoading = true;
     // Create a loading indicator
     const loadingEl = document.createElement('div');
     loadingEl.className = 'loading-indicator';
@@ -63,6 +560,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Hide loading indicator
   function hideLoading() {
     logger.log("Hiding loading indicator");
+    showingLoading = false;
     // Clear the loading indicator
     if (outputContainer) {
       outputContainer.innerHTML = '';
@@ -84,22 +582,46 @@ document.addEventListener('DOMContentLoaded', async () => {
     container.innerHTML = `
       <div class="${className}">
         <h3>${isWarning ? 'Warning' : 'Error'}</h3>
-        <p>${message}</p>
+        <p></p>
         ${!isWarning ? '<p>Please check browser console for technical details.</p>' : ''}
       </div>
     `;
+    // Messages can quote file names and shared links, so never parse them as HTML
+    container.querySelector('p').textContent = message;
   }
 
-  // Update the canvas with new text and settings
-  async function updateCanvas() {
+  // A letter with its per-letter tuning, while the same character stays in place
+  function withLetterSettings(letter, position) {
+    const entry = letterSettings.get(position);
+    return entry && letter.value === entry.value ? { ...letter, ...entry.settings } : letter;
+  }
+  
+  let showingLoading = false;
+  // The update in progress; a newer one cancels it
+  let pendingUpdate = null;
+  // The letters picked last time, reused for unchanged positions while the
+  // settings they were picked with (style, city, seed, weights) stay the same
+  let lastSelection = { key: null, letters: [] };
+  
+  /**
+   * Update the canvas with new text and settings.
+   * @param {Object} [options]
+   * @param {boolean} [options.live=false] - A preview while editing: no loading
+   *   screen, and the text box is left as typed
+   */
+  async function updateCanvas({ live = false } = {}) {
+    if (pendingUpdate) pendingUpdate.abort();
+    const update = new AbortController();
+    pendingUpdate = update;
+    
     try {
       // Show loading state
-      showLoading();
+      if (!live) showLoading();
       logger.log("Starting typography generation");
       
-      // Check for empty text and set default if needed
-      const inputText = userTextInput.value.trim() || config.defaults.text;
-      userTextInput.value = inputText; // Update the input field
+      // Check for empty text and set default if needed (Windows line endings become \n)
+      const inputText = userTextInput.value.replace(/\r\n?/g, '\n').trim() || config.defaults.text;
+      if (!live) userTextInput.value = inputText; // Update the input field
       
       // Get font style and location
       const style = fontStyleSelect.value;
@@ -111,7 +633,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         text: inputText,
         style: style,
         city: location,
-        caseOption: caseOption
+        caseOption: caseOption,
+        seed: currentSeed
       });
       
       // Process text based on case option (like in old version)
@@ -124,17 +647,58 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       try {
         // Use the selector to handle all letter selection logic (direct from old version)
-        const letterArray = await selector.selectLettersForText(processedText, style, location);
+        const cityWeights = getCityWeights();
+        const selectionKey = JSON.stringify([style, location, currentSeed, cityWeights]);
+        const letterArray = await selector.selectLettersForText(processedText, style, location, {
+          cityWeights,
+          seed: currentSeed,
+          overrides: Object.fromEntries(lockedLetters),
+          previous: lastSelection.key === selectionKey ? lastSelection.letters : null,
+          signal: update.signal,
+          // Draw the poster as soon as its layout is known, then each photo as it's picked
+          onPlaceholders: letters => {
+            if (!update.signal.aborted) renderer.renderLetters(letters.map(withLetterSettings));
+          },
+          onLetter: (position, letter) => {
+            if (!update.signal.aborted) renderer.updateLetter(position, withLetterSettings(letter, position));
+          }
+        });
+        if (update.signal.aborted) return;
+        lastSelection = { key: selectionKey, letters: letterArray.slice() };
+        
+        // Drop locks the selector could not honor (text changed, photo missing)
+        for (const position of [...lockedLetters.keys()]) {
+          if (!letterArray[position] || !letterArray[position].locked) {
+            lockedLetters.delete(position);
+          }
+        }
+        
+        // Keep per-letter tuning while the same character stays in place
+        for (const [position, entry] of [...letterSettings]) {
+          const letter = letterArray[position];
+          if (letter && letter.value === entry.value) {
+            letterArray[position] = withLetterSettings(letter, position);
+          } else {
+            letterSettings.delete(position);
+          }
+        }
+        currentLetters = letterArray;
         
         // Render the letters
         renderer.renderLetters(letterArray);
+        updateMap();
+        projects.record();
         
         // Enable export and share buttons
         if (exportBtn) exportBtn.disabled = false;
-        if (shareBtn) exportBtn.disabled = false;
+        if (shareBtn) shareBtn.disabled = false;
+        if (exportSvgBtn) exportSvgBtn.disabled = false;
+        if (exportPdfBtn) exportPdfBtn.disabled = false;
         
         logger.log("Render complete");
       } catch (error) {
+        // Superseded by newer input
+        if (error.name === 'AbortError') return;
         logger.error("ERROR: Failed to generate typography", error);
         console.error('Error generating typography:', error);
         
@@ -145,9 +709,185 @@ document.addEventListener('DOMContentLoaded', async () => {
       logger.error('Fatal error in updateCanvas:', error);
       showErrorMessage(outputContainer, 'A fatal error occurred while updating the canvas.');
     } finally {
-      hideLoading();
+      // A cancelled update leaves the screen to the one that replaced it
+      if (pendingUpdate === update) {
+        pendingUpdate = null;
+        if (showingLoading) hideLoading();
+      }
+    }
+  }
+  
+  // Live preview: redraw shortly after the text or letter settings stop changing
+  const scheduleUpdate = debounce(() => updateCanvas({ live: true }), config.preview.debounceMs);
+
+  // Open the variant picker for a clicked glyph
+  async function openVariantPicker(box) {
+    const letter = currentLetters[box.index];
+    if (!letter || letter.type !== 'letter') return;
+    
+    // Accented letters without photos of their own list their base letter's photos
+    let variants = [];
+    try {
+      variants = await assets.resolveVariants(letter.base || letter.value, letter.style, letter.city, true);
+    } catch (error) {
+      logger.error(`Failed to list variants for "${letter.value}"`, error);
+    }
+    
+    variantPicker.open({
+      x: box.clientX,
+      y: box.clientY,
+      title: `Variants of "${letter.value}"`,
+      variants,
+      currentPath: letter.path,
+      getImageUrl: path => assets.getUrl(path),
+      locked: lockedLetters.has(box.index),
+      onSelect: path => swapVariant(box.index, path),
+      onUnlock: () => unlockLetter(box.index),
+      cutout: renderer.glyphMode === 'cutouts'
+        ? { options: letter.cutout, onChange: options => tuneLetter(box.index, { cutout: options }) }
+        : null,
+      adjustments: {
+        options: { ...renderer.adjustments, ...letter.adjustments },
+        onChange: options => tuneLetter(box.index, { adjustments: options })
+      }
+    });
+  }
+  
+  // Give one letter its own cutout or adjustment settings
+  function tuneLetter(index, settings) {
+    const letter = currentLetters[index];
+    if (!letter) return;
+    
+    const entry = letterSettings.get(index);
+    const merged = entry && entry.value === letter.value ? { ...entry.settings, ...settings } : settings;
+    letterSettings.set(index, { value: letter.value, settings: merged });
+    currentLetters[index] = { ...letter, ...settings };
+    renderer.renderLetters(currentLetters);
+    projects.record();
+  }
+  
+  // Replace one letter's photo in place and lock it for later generations
+  async function swapVariant(index, path) {
+    const letter = currentLetters[index];
+    if (!letter) return;
+    
+    try {
+      const swapped = await selector.getVariantLetter(letter, path);
+      currentLetters[index] = { ...letter, ...swapped, locked: true };
+      lockedLetters.set(index, {
+        value: letter.value,
+        path,
+        style: letter.style,
+        city: letter.city,
+        diacritic: letter.diacritic
+      });
+      renderer.renderLetters(currentLetters);
+      updateMap();
+      projects.record();
+      logger.log(`Locked "${letter.value}" at position ${index} to ${path}`);
+    } catch (error) {
+      logger.error(`Failed to swap variant for "${letter.value}"`, error);
+      showErrorMessage(outputContainer, `Could not load that photo: ${error.message}`, true);
+    }
+  }
+  
+  // Let a letter be chosen freely again on the next generation
+  function unlockLetter(index) {
+    lockedLetters.delete(index);
+    if (currentLetters[index]) {
+      currentLetters[index] = { ...currentLetters[index], locked: false };
+      renderer.renderLetters(currentLetters);
+    }
+    projects.record();
+  }
+  
+  renderer.onGlyphClick = openVariantPicker;
+  
+  // Card with the hovered photo's provenance
+  let photoCard = null;
+  
+  function showPhotoCard(box) {
+    if (photoCard) {
+      photoCard.remove();
+      photoCard = null;
+    }
+    const letter = box && currentLetters[box.index];
+    if (!letter || letter.type !== 'letter' || letter.isFallback || !letter.path) return;
+    
+    const metadata = assets.getMetadata(letter.path);
+    const rows = metadata ? [
+      ['Photo', metadata.photographer],
+      ['Taken', metadata.date],
+      ['Where', metadata.address],
+      ['GPS', formatCoordinates(metadata)],
+      ['License', metadata.license]
+    ].filter(([, value]) => value) : [];
+    
+    photoCard = document.createElement('div');
+    photoCard.className = 'photo-card';
+    photoCard.innerHTML = `<strong></strong>${rows.length > 0 ? '<dl></dl>' : '<p class="photo-card-empty">No credits recorded for this photo.</p>'}`;
+    photoCard.querySelector('strong').textContent =
+      `"${letter.value}" · ${config.cityLabels[letter.city] || letter.city || ''}`;
+    const list = photoCard.querySelector('dl');
+    for (const [label, value] of rows) {
+      const term = document.createElement('dt');
+      const detail = document.createElement('dd');
+      term.textContent = label;
+      detail.textContent = value;
+      list.append(term, detail);
     }
+    
+    // Beside the glyph, flipped left near the right edge of the window
+    document.body.appendChild(photoCard);
+    const width = photoCard.offsetWidth;
+    const left = box.clientRight + 8 + width > window.innerWidth ? box.clientX - width - 8 : box.clientRight + 8;
+    photoCard.style.left = `${Math.max(8, left)}px`;
+    photoCard.style.top = `${Math.max(8, Math.min(box.clientTop, window.innerHeight - photoCard.offsetHeight - 8))}px`;
   }
+  
+  renderer.onGlyphHover = box => {
+    showPhotoCard(box);
+    if (mapView) mapView.setActive(box ? box.index : -1);
+  };
+  
+  // Plot the current letters that have GPS coordinates on the map
+  function updateMap() {
+    if (!mapView) return;
+    
+    const points = [];
+    const cityCounts = {};
+    let photos = 0;
+    currentLetters.forEach((letter, index) => {
+      if (letter.type !== 'letter' || letter.isFallback || !letter.path) return;
+      photos++;
+      cityCounts[letter.city] = (cityCounts[letter.city] || 0) + 1;
+      
+      const metadata = assets.getMetadata(letter.path);
+      if (metadata && 'lat' in metadata) {
+        points.push({ index, label: letter.value, lat: metadata.lat, lng: metadata.lng });
+      }
+    });
+    
+    // Outline the city most letters came from
+    const city = Object.keys(cityCounts).sort((a, b) => cityCounts[b] - cityCounts[a])[0] || config.defaults.city;
+    mapView.setPoints(points, city);
+    
+    if (mapStatusEl) {
+      mapStatusEl.textContent = points.length === 0
+        ? 'None of these photos has a recorded location yet.'
+        : `${points.length} of ${photos} letters located. Hover a marker to find its letters.`;
+    }
+  }
+  
+  if (mapView) {
+    mapView.onMarkerHover = indices => renderer.setHighlight(indices || []);
+    // Show the credits of the marker's first letter beside it on the poster
+    mapView.onMarkerClick = indices => showPhotoCard(renderer.getGlyphBox(indices[0]));
+  }
+  
+  // The map legend is printed on exports only when asked for and when letters have locations
+  renderer.exportOverlay = pixelWidth =>
+    mapView && mapLegendCheckbox && mapLegendCheckbox.checked ? mapView.createLegend(pixelWidth) : null;
 
   // Test directory structure
   function testDirectoryStructure() {
@@ -171,7 +911,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Create a test logger
     function logTest(message) {
       const timestamp = new Date().toISOString().substring(11, 23);
-      testLog.innerHTML += `[${timestamp}] ${message}\n`;
+      testLog.textContent += `[${timestamp}] ${message}\n`;
       testLog.scrollTop = testLog.scrollHeight; // Auto-scroll to bottom
     }
     
@@ -181,12 +921,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Test a sample letter
     const testLetter = 'A';
     const testStyle = 'sans';
+    const testPath = assets.getLetterPath(testLetter, testStyle, config.defaults.city);
+    logTest(`Testing ${testPath}`);
     
     // Test path existence
-    database.pathExists('assets/Alphabet/cities/NYC/alphabet/A/sans-upper/01.jpg')
+    assets.pathExists(testPath)
       .then(exists => {
         logTest(`Test path exists: ${exists}`);
         
+        const stats = assets.getStats();
+        logTest(`Asset source: ${stats.source} (${stats.manifestImages} manifest images)`);
+        logTest(`Images requested: ${stats.requested}, cache hits: ${stats.cached}, loaded: ${stats.loaded}, failed: ${stats.failed}, fallbacks: ${stats.fallback}`);
+        
         if (exists) {
           logTest('SUCCESS: Found asset path');
           
@@ -221,28 +967,49 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
   }
 
-  // Update font size
-  function updateFontSize() {
-    const sizes = ['SMALL', 'MEDIUM', 'LARGE'];
-    const currentSize = fontSizeToggle.textContent;
-    const currentIndex = sizes.indexOf(currentSize);
-    const nextIndex = (currentIndex + 1) % sizes.length;
-    const nextSize = sizes[nextIndex];
+  // Show how many photos exist per character, style and case, and what is missing
+  function openCoverageReport() {
+    const coverage = buildCoverage(assets);
+    const stats = assets.getStats();
+    const location = locationSelect ? locationSelect.value : config.defaults.city;
     
-    fontSizeToggle.textContent = nextSize;
-    currentFontSize = nextSize.toLowerCase();
+    coverageReport.open({
+      coverage,
+      city: location,
+      summary: `Asset source: ${stats.source} (${stats.manifestImages} indexed photos)`,
+      onDownloadList: () => {
+        const list = formatShoppingList(buildShoppingList(coverage), coverage.target);
+        downloadBlob(new Blob([list], { type: 'text/plain' }), 'streettype-shopping-list.txt');
+      },
+      onDownloadCsv: () => {
+        downloadBlob(new Blob([formatCoverageCsv(coverage)], { type: 'text/csv' }), 'streettype-coverage.csv');
+      }
+    });
+  }
+
+  // Show a font size ('small' | 'medium' | 'large') on the toggle and the renderer
+  function applyFontSize(size) {
+    currentFontSize = size;
+    if (fontSizeToggle) fontSizeToggle.textContent = size.toUpperCase();
     
     // Set appropriate sizes on renderer
-    if (nextSize === 'SMALL') {
+    if (size === 'small') {
       renderer.setLetterSpacing(5);
       renderer.setLineHeight(60);
-    } else if (nextSize === 'MEDIUM') {
+    } else if (size === 'medium') {
       renderer.setLetterSpacing(10);
       renderer.setLineHeight(100);
-    } else if (nextSize === 'LARGE') {
+    } else if (size === 'large') {
       renderer.setLetterSpacing(15);
       renderer.setLineHeight(140);
     }
+  }
+
+  // Update font size
+  function updateFontSize() {
+    const sizes = ['small', 'medium', 'large'];
+    const nextSize = sizes[(sizes.indexOf(currentFontSize) + 1) % sizes.length];
+    applyFontSize(nextSize);
     
     logger.log(`Font size changed to: ${nextSize}`);
     
@@ -250,45 +1017,441 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateCanvas();
   }
 
+  // Layout settings a project keeps (the rest follow the size toggle)
+  const PROJECT_LAYOUT_OPTIONS = ['mode', 'align', 'verticalAlign', 'proportional', 'tracking'];
+  
+  // Everything needed to draw the same poster again
+  function getProjectState() {
+    const layout = {};
+    PROJECT_LAYOUT_OPTIONS.forEach(option => { layout[option] = renderer.layoutEngine.options[option]; });
+    
+    return {
+      text: userTextInput.value,
+      style: fontStyleSelect.value,
+      city: locationSelect.value,
+      cityWeights: getCityWeights(),
+      caseOption: caseOptionSelect.value,
+      fontSize: currentFontSize,
+      canvasFormat: currentFormat,
+      seed: currentSeed,
+      layout,
+      glyphMode: renderer.glyphMode,
+      adjustments: { ...renderer.adjustments },
+      fallbackDistress: renderer.fallbackOptions.distress,
+      locks: [...lockedLetters].map(([position, lock]) => ({ position, ...lock })),
+      letterSettings: [...letterSettings].map(([position, entry]) => ({ position, ...entry }))
+    };
+  }
+  
+  // Choose an option if the select has it (a project may name a city that isn't loaded)
+  function setSelectValue(select, value) {
+    if (select && value !== undefined && [...select.options].some(option => option.value === value)) {
+      select.value = value;
+    }
+  }
+  
+  // Set every control from a project, then select and draw its letters
+  async function applyProjectState(project) {
+    userTextInput.value = project.text;
+    setSelectValue(fontStyleSelect, project.style);
+    setSelectValue(locationSelect, project.city);
+    setSelectValue(caseOptionSelect, project.caseOption);
+    updateCityMixVisibility();
+    if (project.cityWeights && cityWeightsEl) {
+      cityWeightsEl.querySelectorAll('input[data-city]').forEach(input => {
+        if (input.dataset.city in project.cityWeights) {
+          input.value = project.cityWeights[input.dataset.city];
+        }
+      });
+    }
+    
+    if (project.fontSize) applyFontSize(project.fontSize);
+    if (project.canvasFormat) selectFormat(project.canvasFormat);
+    
+    if (project.layout) {
+      renderer.setLayoutOptions(project.layout);
+      const options = renderer.layoutEngine.options;
+      layoutControls.forEach(([select, option]) => setSelectValue(select, options[option]));
+      setSelectValue(layoutWidthsSelect, options.proportional ? 'proportional' : 'fixed');
+      if (trackingInput) {
+        trackingInput.value = options.tracking;
+        if (trackingValueEl) trackingValueEl.textContent = trackingInput.value;
+      }
+    }
+    
+    if (project.adjustments) {
+      renderer.setAdjustments(project.adjustments);
+      const adjustments = renderer.adjustments;
+      setSelectValue(tintSelect, adjustments.tint || '');
+      setSelectValue(colorModeSelect, adjustments.colorMode);
+      if (autoLevelsCheckbox) autoLevelsCheckbox.checked = adjustments.autoLevels;
+      adjustmentSliders.forEach(([input, option]) => { if (input) input.value = adjustments[option]; });
+    }
+    
+    if (typeof project.fallbackDistress === 'number') {
+      renderer.setFallbackOptions({ distress: project.fallbackDistress });
+      if (fallbackDistressCheckbox) fallbackDistressCheckbox.checked = project.fallbackDistress > 0;
+    }
+    if (project.glyphMode) {
+      renderer.setGlyphMode(project.glyphMode);
+      setSelectValue(glyphModeSelect, project.glyphMode);
+    }
+    
+    if (project.seed) {
+      currentSeed = project.seed;
+      if (seedInput) seedInput.value = currentSeed;
+    }
+    
+    lockedLetters.clear();
+    project.locks.forEach(({ position, ...lock }) => lockedLetters.set(position, lock));
+    letterSettings.clear();
+    project.letterSettings.forEach(({ position, ...entry }) => letterSettings.set(position, entry));
+    
+    await updateCanvas();
+  }
+  
+  function updateProjectButtons() {
+    if (undoBtn) undoBtn.disabled = !projects.canUndo;
+    if (redoBtn) redoBtn.disabled = !projects.canRedo;
+  }
+  
+  function showProjectStatus(message) {
+    if (projectStatusEl) projectStatusEl.textContent = message;
+  }
+  
+  // Fill the snapshot list, newest first
+  async function renderSnapshotList(selectedId) {
+    if (!snapshotSelect) return;
+    
+    let snapshots = [];
+    try {
+      snapshots = await projects.listSnapshots();
+    } catch (error) {
+      logger.error('ERROR: Could not list snapshots', error);
+    }
+    
+    snapshotSelect.innerHTML = '';
+    for (const snapshot of snapshots) {
+      const saved = new Date(snapshot.savedAt).toLocaleString();
+      snapshotSelect.add(new Option(`${snapshot.name} (${saved})`, snapshot.id));
+    }
+    if (snapshots.length === 0) {
+      snapshotSelect.add(new Option('No snapshots yet', ''));
+    }
+    if (selectedId) snapshotSelect.value = selectedId;
+    
+    const hasSnapshot = snapshotSelect.value !== '';
+    if (snapshotRestoreBtn) snapshotRestoreBtn.disabled = !hasSnapshot;
+    if (snapshotDeleteBtn) snapshotDeleteBtn.disabled = !hasSnapshot;
+  }
+  
+  async function saveSnapshot() {
+    const name = prompt('Name this snapshot:', userTextInput.value.split('\n')[0].slice(0, 40));
+    if (name === null) return;
+    
+    try {
+      const snapshot = await projects.saveSnapshot(name.trim());
+      await renderSnapshotList(snapshot.id);
+      showProjectStatus(`Saved snapshot "${snapshot.name}".`);
+    } catch (error) {
+      logger.error('ERROR: Could not save snapshot', error);
+      showProjectStatus('Snapshots need browser storage, which is not available here.');
+    }
+  }
+  
+  async function restoreSnapshot() {
+    if (!snapshotSelect || !snapshotSelect.value) return;
+    
+    try {
+      await projects.restoreSnapshot(snapshotSelect.value);
+      showProjectStatus(`Restored "${snapshotSelect.selectedOptions[0].textContent}".`);
+    } catch (error) {
+      logger.error('ERROR: Could not restore snapshot', error);
+      showErrorMessage(outputContainer, `Could not restore the snapshot: ${error.message}`, true);
+    }
+  }
+  
+  async function deleteSnapshot() {
+    if (!snapshotSelect || !snapshotSelect.value) return;
+    if (!confirm(`Delete the snapshot "${snapshotSelect.selectedOptions[0].textContent}"?`)) return;
+    
+    try {
+      await projects.deleteSnapshot(snapshotSelect.value);
+    } catch (error) {
+      logger.error('ERROR: Could not delete snapshot', error);
+    }
+    await renderSnapshotList();
+  }
+  
+  async function importProject(file) {
+    try {
+      await projects.importFile(file);
+      showProjectStatus(`Opened ${file.name}.`);
+    } catch (error) {
+      logger.error('ERROR: Could not open project', error);
+      showErrorMessage(outputContainer, `Could not open the project: ${error.message}`, true);
+    }
+  }
+  
   // Event listeners
   if (generateBtn) {
-    generateBtn.addEventListener('click', updateCanvas);
+    generateBtn.addEventListener('click', () => {
+      // A new design each time, unless the seed is locked
+      if (!seedLockCheckbox || !seedLockCheckbox.checked) {
+        rerollSeed();
+      }
+      updateCanvas();
+    });
   }
   
-  if (exportBtn) {
-    exportBtn.addEventListener('click', () => {
-      if (renderer) {
-        renderer.exportAsImage();
+  if (seedRerollBtn) {
+    seedRerollBtn.addEventListener('click', () => {
+      rerollSeed();
+      updateCanvas();
+    });
+  }
+  
+  if (seedInput) {
+    seedInput.addEventListener('change', () => {
+      if (applySeedInput()) {
+        updateCanvas();
       }
     });
   }
   
-  if (shareBtn) {
-    shareBtn.addEventListener('click', () => {
-      if (renderer && renderer.canvas) {
+  // Photos used in the current composition, with their provenance
+  function getCredits() {
+    return buildCredits(currentLetters, path => assets.getMetadata(path));
+  }
+  
+  // Metadata embedded in every export format
+  function getExportMetadata() {
+    const metadata = {
+      'StreetType-Seed': currentSeed,
+      'StreetType-Format': currentFormat,
+      'StreetType-Text': userTextInput.value
+    };
+    const { photographers } = getCredits();
+    if (photographers.length > 0) {
+      metadata['StreetType-Photographers'] = photographers.join(', ');
+    }
+    return metadata;
+  }
+  
+  function getExportName() {
+    return `streettype-${currentFormat}-${currentSeed}`;
+  }
+  
+  // Download the credits list next to a poster export, in the chosen format
+  function exportCredits() {
+    const format = creditsFormatSelect ? creditsFormatSelect.value : 'none';
+    if (format === 'none') return;
+    
+    const credits = getCredits();
+    const details = { Text: userTextInput.value, Seed: currentSeed, Format: currentFormat };
+    if (format === 'json') {
+      const json = JSON.stringify({ ...details, generated: new Date().toISOString(), ...credits }, null, 2);
+      downloadBlob(new Blob([json + '\n'], { type: 'application/json' }), `${getExportName()}-credits.json`);
+    } else {
+      const text = formatCreditsText(credits, details);
+      downloadBlob(new Blob([text], { type: 'text/plain' }), `${getExportName()}-credits.txt`);
+    }
+  }
+  
+  if (exportBtn) {
+    exportBtn.addEventListener('click', async () => {
+      if (renderer) {
         try {
-          const dataURL = renderer.canvas.elt.toDataURL('image/png');
-          const win = window.open();
-          win.document.body.innerHTML = `<img src="${dataURL}" alt="Shared Typography" />`;
+          await renderer.exportAsImage(`${getExportName()}.png`, getExportMetadata());
+          exportCredits();
         } catch (error) {
-          logger.error("ERROR: Failed to share typography", error);
-          alert("Could not share the typography. Please try again.");
+          logger.error("ERROR: Failed to export PNG", error);
+          alert("Could not export the image. Please try again.");
         }
       }
     });
   }
   
+  if (exportSvgBtn) {
+    exportSvgBtn.addEventListener('click', () => {
+      if (renderer) {
+        renderer.exportAsSvg(`${getExportName()}.svg`, getExportMetadata());
+        exportCredits();
+      }
+    });
+  }
+  
+  if (exportPdfBtn) {
+    exportPdfBtn.addEventListener('click', async () => {
+      if (!renderer) return;
+      try {
+        await renderer.exportAsPdf(`${getExportName()}.pdf`, getExportMetadata());
+        exportCredits();
+      } catch (error) {
+        logger.error("ERROR: Failed to export PDF", error);
+        alert("Could not export the PDF. Please try again.");
+      }
+    });
+  }
+  
+  // Copy a link that reproduces the poster
+  async function copyPermalink() {
+    const url = createPermalink(projects.current());
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (error) {
+      // No clipboard access (insecure context or denied): let the user copy it
+      prompt('Copy this link to share the poster:', url);
+      return;
+    }
+    
+    const label = shareBtn.textContent;
+    shareBtn.textContent = 'Link Copied';
+    setTimeout(() => { shareBtn.textContent = label; }, 1500);
+  }
+  
+  // Reproduce a shared poster, saying so when some of its photos aren't here
+  async function openPermalink(project) {
+    // Once open, the poster lives on in the autosave; a reload shouldn't reset it
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
+    await projects.open(project);
+    
+    const missing = project.locks.filter(lock => {
+      const kept = lockedLetters.get(lock.position);
+      return !kept || kept.path !== lock.path;
+    });
+    if (missing.length > 0) {
+      const letters = missing.map(lock => `"${lock.value}"`).join(', ');
+      logger.warn('Linked photos not available:', missing.map(lock => lock.path));
+      showErrorMessage(outputContainer,
+        `The photos this link chose for ${letters} are not available here, so other photos were picked.`, true);
+    }
+  }
+  
+  if (shareBtn) {
+    shareBtn.addEventListener('click', copyPermalink);
+  }
+  
+  // A permalink pasted into the address bar of an open page
+  window.addEventListener('hashchange', () => {
+    const project = decodePermalink(location.hash);
+    if (project) openPermalink(project);
+  });
+  
   if (testPathsBtn) {
     testPathsBtn.addEventListener('click', testDirectoryStructure);
   }
   
+  if (coverageBtn) {
+    coverageBtn.addEventListener('click', openCoverageReport);
+  }
+  
+  if (undoBtn) undoBtn.addEventListener('click', () => projects.undo());
+  if (redoBtn) redoBtn.addEventListener('click', () => projects.redo());
+  
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y), except while typing
+  document.addEventListener('keydown', event => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target.closest('input, textarea, select, [contenteditable]')) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      projects.undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      projects.redo();
+    }
+  });
+  
+  if (snapshotSaveBtn) snapshotSaveBtn.addEventListener('click', saveSnapshot);
+  if (snapshotRestoreBtn) snapshotRestoreBtn.addEventListener('click', restoreSnapshot);
+  if (snapshotDeleteBtn) snapshotDeleteBtn.addEventListener('click', deleteSnapshot);
+  if (snapshotSelect) {
+    snapshotSelect.addEventListener('change', () => renderSnapshotList(snapshotSelect.value));
+  }
+  
+  if (projectExportBtn) {
+    projectExportBtn.addEventListener('click', () => {
+      downloadBlob(projects.toBlob(), `${getExportName()}${PROJECT_EXTENSION}`);
+    });
+  }
+  
+  if (projectImportBtn && projectInput) {
+    projectImportBtn.addEventListener('click', () => projectInput.click());
+    projectInput.addEventListener('change', () => {
+      const [file] = projectInput.files;
+      projectInput.value = '';
+      if (file) importProject(file);
+    });
+  }
+  
   if (fontSizeToggle) {
     fontSizeToggle.addEventListener('click', updateFontSize);
   }
+  
+  if (locationSelect) {
+    locationSelect.addEventListener('change', updateCityMixVisibility);
+  }
+  
+  if (config.preview.live) {
+    if (userTextInput) userTextInput.addEventListener('input', scheduleUpdate);
+    [fontStyleSelect, locationSelect, caseOptionSelect].forEach(select => {
+      if (select) select.addEventListener('change', scheduleUpdate);
+    });
+    // Weight inputs are rebuilt with the city list
+    if (cityWeightsEl) cityWeightsEl.addEventListener('input', scheduleUpdate);
+  }
 
-  // Initial render with a small delay to let everything initialize
-  setTimeout(() => {
-    updateCanvas();
+  // Debug panel: image cache use and activity over the poster, refreshed
+  // every second while it is shown
+  let cacheStatsEl = null;
+  let cacheStatsTimer = null;
+  
+  function showCacheStats() {
+    const megabytes = bytes => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    const { cache, pendingLoads } = assets.getStats();
+    cacheStatsEl.textContent = `Images: ${cache.entries} (${megabytes(cache.bytes)} of ${megabytes(cache.maxBytes)}) · ` +
+      `hits ${cache.hits} · misses ${cache.misses} · evicted ${cache.evictions} · loading ${pendingLoads}`;
+  }
+  
+  function setCacheStatsVisible(visible) {
+    if (visible && !cacheStatsEl && canvasArea) {
+      cacheStatsEl = document.createElement('div');
+      cacheStatsEl.className = 'performance-stats';
+      canvasArea.appendChild(cacheStatsEl);
+      showCacheStats();
+      cacheStatsTimer = setInterval(showCacheStats, 1000);
+    } else if (!visible && cacheStatsEl) {
+      clearInterval(cacheStatsTimer);
+      cacheStatsTimer = null;
+      cacheStatsEl.remove();
+      cacheStatsEl = null;
+    }
+  }
+  
+  if (cacheStatsToggle) {
+    cacheStatsToggle.checked = config.debug.showPerformanceStats;
+    cacheStatsToggle.addEventListener('change', () => setCacheStatsVisible(cacheStatsToggle.checked));
+  }
+  setCacheStatsVisible(config.debug.showPerformanceStats);
+  
+  // Initial render with a small delay to let everything initialize: a shared
+  // link's poster, or where the last visit left off when a project was autosaved
+  setTimeout(async () => {
+    await sourcesReady;
+    renderSnapshotList();
+    
+    const linked = decodePermalink(location.hash);
+    const saved = linked ? null : await projects.loadAutosave();
+    if (linked) {
+      await openPermalink(linked);
+    } else if (saved) {
+      await projects.open(saved);
+      showProjectStatus('Restored your last session.');
+    } else {
+      await updateCanvas();
+    }
   }, 500);
   
   logger.log("Application initialization complete");
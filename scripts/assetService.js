@@ -0,0 +1,719 @@
+// scripts/assetService.js
+// The one place the app finds, loads and caches letter assets
+
+import config from './config.js';
+import styleRegistry from './styleRegistry.js';
+import letterGenerator from './letterGenerator.js';
+import { createCutout, cutoutKey } from './cutout.js';
+import { normalizeMetadata } from './credits.js';
+import { SYMBOL_FOLDERS, classifyCharacter, letterFolder, composeDiacritic } from './characters.js';
+import { RegistryProbeResolver, TemplateResolver, AssetStats } from './assetStrategies.js';
+import { BundledSource } from './assetSources.js';
+import imageCache from './imageCache.js';
+
+/**
+ * Asset service used by every code path that needs letter images:
+ *   resolveVariants - which photos exist for a character, style and city
+ *   loadImage       - load (and cache) one photo
+ *   loadCutout      - a photo with its background removed (cached)
+ *   loadComposed    - a photo with a diacritic painted on, for accented letters
+ *   getLigatures    - multi-letter glyphs ("ST", "TH") with photos in a city
+ *   getFallback     - a generated glyph for characters without photos
+ *   getMetadata     - a photo's provenance, for credits
+ *   getStats        - what has been loaded, cached, probed and generated
+ *
+ * Variants come from an index merged from every asset source (see
+ * assetSources.js): the bundled tree's manifest plus any folders, dropped
+ * files or zip packs the user adds. Without a bundled manifest, the service
+ * also asks its resolvers (see assetStrategies.js) in order. Activity is
+ * counted by a pluggable stats strategy. Loaded photos, cutouts and composed
+ * letters are kept in a memory-bounded LRU cache (see imageCache.js).
+ */
+class AssetService {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.resolvers] - Variant resolvers used without a manifest
+   * @param {Object} [options.stats] - Stats strategy with record(event) and snapshot()
+   * @param {Object} [options.generator] - Fallback generator with generateLetter(char, style)
+   * @param {Object} [options.bundledSource] - Source of the deployed assets/ tree
+   * @param {ImageCache} [options.cache] - Cache for decoded images (default: the shared one)
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || imageCache; // "image:", "cutout:" and "composed:" entries
+    this.loadingPromises = {};   // Ongoing load promises
+    this.pathExistsCache = {};   // Cache results of pathExists checks
+    this.assetsDetected = false; // Flag to track if we've detected any assets
+    this.manifest = null;        // Index merged from all sources, when any has one
+    this.manifestPaths = new Map(); // Asset path → manifest file entry
+    this.indexes = new Map();       // Source id → that source's index
+    this.sources = new Map();       // Source id → source, for everything added at runtime
+    this.composing = new Map();     // "path|mark" → composition in progress
+    this.composedUrls = new Map();  // "path|mark" → object URL, kept while its photo's source is
+    this.resolvers = options.resolvers || [new RegistryProbeResolver(), new TemplateResolver()];
+    this.activeResolvers = [];      // Resolvers whose detection found assets
+    this.stats = options.stats || new AssetStats();
+    this.generator = options.generator || letterGenerator;
+    this.bundledSource = options.bundledSource || new BundledSource(config.assets.manifestUrl);
+    
+    // Load the manifest once; only probe for assets when there is none
+    this.ready = this._initialize();
+  }
+  
+  /**
+   * Load the asset manifest, falling back to the resolvers without one
+   */
+  async _initialize() {
+    const manifest = await this.bundledSource.load();
+    if (manifest) {
+      this.setManifest(manifest);
+      console.log(`Asset manifest loaded: ${this.manifestPaths.size} images`);
+      return;
+    }
+    
+    // Detect once which resolvers can find anything, to avoid excessive 404s
+    for (const resolver of this.resolvers) {
+      try {
+        if (await resolver.initialize(this)) {
+          this.activeResolvers.push(resolver);
+        }
+      } catch (error) {
+        console.warn(`Asset resolver "${resolver.name}" failed to initialize`, error);
+      }
+    }
+    
+    this.assetsDetected = this.activeResolvers.length > 0;
+    this.pathExistsCache.checked = true;
+    if (!this.assetsDetected) {
+      console.warn('No assets detected. Will use SVG fallbacks.');
+    }
+  }
+  
+  /**
+   * Use a manifest object (generated by tools/buildManifest.mjs) as the
+   * bundled tree's index.
+   * @param {Object} manifest - { version, cities: { city: { char: { style: [files] } } }, shared }
+   */
+  setManifest(manifest) {
+    this._validateIndex(manifest);
+    this.indexes.set(this.bundledSource.id, manifest);
+    this._rebuildIndex();
+  }
+  
+  /**
+   * Add an asset source (see assetSources.js); its photos join the index
+   * under the same characters, styles and cities as the bundled ones.
+   * @param {Object} source - { id, name, kind, load(), dispose() }
+   * @returns {Promise<{images: number, skipped: string[]}>}
+   */
+  async addSource(source) {
+    await this.ready;
+    const index = await source.load();
+    this._validateIndex(index);
+    
+    this.sources.set(source.id, source);
+    this.indexes.set(source.id, index);
+    this._rebuildIndex();
+    
+    const images = this.getSources().find(info => info.id === source.id).images;
+    console.log(`Asset source "${source.name}" added: ${images} images`);
+    return { images, skipped: source.skipped || [] };
+  }
+  
+  /**
+   * Re-read a source added with addSource, e.g. after photos were saved into it.
+   * @param {string} id
+   */
+  async reloadSource(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
+    
+    const index = await source.load();
+    this._validateIndex(index);
+    this.indexes.set(id, index);
+    this._rebuildIndex();
+  }
+  
+  /**
+   * Where a new photo of a character belongs in an asset tree, numbered after
+   * the variants already known for it so packs can be merged into assets/.
+   * @param {string} character
+   * @param {string} styleKey
+   * @param {string} city
+   * @returns {string|null} Relative path such as "cities/NYC/alphabet/A/sans-upper/04.jpg"
+   */
+  getContributionPath(character, styleKey, city) {
+    let folder;
+    const kind = classifyCharacter(character);
+    if (kind === 'letter') {
+      const { folder: letter, caseType } = letterFolder(character);
+      const [styleFolder] = styleRegistry.getFolderCandidates(styleKey, caseType);
+      if (!styleFolder) return null;
+      folder = `cities/${city}/${styleRegistry.alphabetFolders[0]}/${letter}/${styleFolder}`;
+    } else if (kind === 'digit') {
+      folder = `cities/${city}/Numbers/${character}`;
+    } else if (kind === 'symbol') {
+      folder = `cities/${city}/Symbols/${AssetService.symbolFolderMap[character]}`;
+    } else {
+      return null;
+    }
+    
+    const numbers = (this.getManifestVariants(character, styleKey, city) || [])
+      .map(path => parseInt(path.split('/').pop(), 10))
+      .filter(number => !Number.isNaN(number));
+    const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+    return `${folder}/${String(next).padStart(2, '0')}.jpg`;
+  }
+  
+  /**
+   * Remove a source added with addSource and forget its photos.
+   * @param {string} id
+   */
+  removeSource(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
+    
+    for (const [path, entry] of this.manifestPaths) {
+      if (entry.source === id) {
+        // Photos are cached under their path or, when loaded by the renderer, their URL
+        this.cache.delete(`image:${path}`);
+        this.cache.delete(`image:${entry.url}`);
+        this.cache.deleteMatching(key => key.startsWith(`cutout:${entry.url}|`) || key.startsWith(`composed:${path}|`));
+        this._forgetComposedUrls(path);
+        if (entry.url && entry.url.startsWith('blob:')) {
+          URL.revokeObjectURL(entry.url);
+        }
+      }
+    }
+    source.dispose();
+    this.sources.delete(id);
+    this.indexes.delete(id);
+    this._rebuildIndex();
+  }
+  
+  /**
+   * Sources in use, with how many photos each contributes.
+   * @returns {Object[]} { id, name, kind, images }
+   */
+  getSources() {
+    const counts = new Map();
+    for (const entry of this.manifestPaths.values()) {
+      const id = entry.source || this.bundledSource.id;
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    
+    const sources = [this.bundledSource, ...this.sources.values()];
+    return sources
+      .filter(source => this.indexes.has(source.id))
+      .map(source => ({ id: source.id, name: source.name, kind: source.kind, images: counts.get(source.id) || 0 }));
+  }
+  
+  _validateIndex(index) {
+    if (!index || index.version !== 1 || !index.cities) {
+      throw new Error('Unsupported asset manifest format');
+    }
+  }
+  
+  /**
+   * Merge every source's index into this.manifest and the path lookup.
+   */
+  _rebuildIndex() {
+    const merged = { version: 1, cities: {}, shared: {} };
+    const mergeSection = (target, section) => {
+      for (const [character, styles] of Object.entries(section || {})) {
+        target[character] = target[character] || {};
+        for (const [style, files] of Object.entries(styles)) {
+          target[character][style] = (target[character][style] || []).concat(files);
+        }
+      }
+    };
+    
+    for (const index of this.indexes.values()) {
+      for (const [city, characters] of Object.entries(index.cities)) {
+        merged.cities[city] = merged.cities[city] || {};
+        mergeSection(merged.cities[city], characters);
+      }
+      mergeSection(merged.shared, index.shared);
+    }
+    
+    this.manifest = this.indexes.size > 0 ? merged : null;
+    this.manifestPaths.clear();
+    
+    const sections = [...Object.values(merged.cities), merged.shared];
+    for (const characters of sections) {
+      for (const styles of Object.values(characters)) {
+        for (const files of Object.values(styles)) {
+          for (const file of files) {
+            this.manifestPaths.set(file.path, file);
+          }
+        }
+      }
+    }
+    
+    this.assetsDetected = this.manifestPaths.size > 0 || this.activeResolvers.length > 0;
+    if (this.hasBundledManifest()) {
+      this.pathExistsCache.checked = true;
+    }
+  }
+  
+  /**
+   * Whether the deployed assets/ tree is described by a manifest, so its
+   * paths never need probing.
+   */
+  hasBundledManifest() {
+    return this.indexes.has(this.bundledSource.id);
+  }
+  
+  /**
+   * URL to load an asset path from: object URLs for user-added files, the
+   * path itself for the bundled tree.
+   * @param {string} path
+   * @returns {string}
+   */
+  getUrl(path) {
+    const entry = this.manifestPaths.get(path);
+    return (entry && entry.url) || path;
+  }
+  
+  /**
+   * List the cities that have an asset pack. Uses the manifest when loaded,
+   * otherwise the configured city list.
+   * @returns {string[]} City codes
+   */
+  getCities() {
+    const cities = new Set(this.manifest ? Object.keys(this.manifest.cities) : []);
+    if (!this.hasBundledManifest()) {
+      config.cities.forEach(city => cities.add(city));
+    }
+    return [...cities].sort();
+  }
+  
+  /**
+   * Look up the manifest entry ({ path, width, height }) for an asset path.
+   * @param {string} path
+   * @returns {Object|null}
+   */
+  getManifestEntry(path) {
+    return this.manifestPaths.get(path) || null;
+  }
+  
+  /**
+   * Provenance of a photo (photographer, date, address, lat/lng, license)
+   * from its manifest entry or sidecar.
+   * @param {string} path
+   * @returns {Object|null} See credits.js CREDIT_FIELDS
+   */
+  getMetadata(path) {
+    const entry = this.manifestPaths.get(path);
+    return entry ? normalizeMetadata(entry.metadata) : null;
+  }
+  
+  /**
+   * Test whether an image URL actually exists by letting the browser try to load it.
+   * @param {string} path
+   * @returns {Promise<boolean>}
+   */
+  async pathExists(path) {
+    // Check cache first
+    if (path in this.pathExistsCache) {
+      const result = this.pathExistsCache[path];
+      console.log(`Path cache hit: ${path}, exists: ${result}`);
+      return result;
+    }
+    
+    // The manifest knows every asset, so there is nothing to probe
+    if (this.hasBundledManifest() || this.manifestPaths.has(path)) {
+      return this.manifestPaths.has(path);
+    }
+    
+    // Skip checking if we already know no assets exist
+    if (this.pathExistsCache.checked && !this.assetsDetected) {
+      console.log(`Skipping check for ${path} - no assets detected`);
+      return false;
+    }
+    
+    console.log(`Testing path: ${path}`);
+    this.stats.record('probed');
+    
+    return new Promise(resolve => {
+      const img = new Image();
+      
+      // Set a timeout to avoid waiting too long
+      const timeoutId = setTimeout(() => {
+        console.log(`Timeout checking path: ${path}`);
+        this.pathExistsCache[path] = false;
+        resolve(false);
+      }, 1000);
+      
+      img.onload = () => {
+        clearTimeout(timeoutId);
+        console.log(`Path exists: ${path}`);
+        this.pathExistsCache[path] = true;
+        resolve(true);
+      };
+      
+      img.onerror = () => {
+        clearTimeout(timeoutId);
+        console.log(`Path does not exist: ${path}`);
+        this.pathExistsCache[path] = false;
+        resolve(false);
+      };
+      
+      // A stable URL, so the browser's HTTP cache answers the later load
+      img.src = path;
+    });
+  }
+
+  /**
+   * Map symbol characters → folder names under Symbols/ (see characters.js).
+   */
+  static symbolFolderMap = SYMBOL_FOLDERS;
+
+  /**
+   * Build the primary path for a character's numbered JPG variant.
+   * Returns null for unsupported characters.
+   *
+   * @param {string} character    A single alphanumeric character or symbol
+   * @param {string} styleKey     One of: "sans", "serif", "mono", "script", etc.
+   * @param {string} location     City code (e.g. "NYC")
+   * @param {number} variantIndex 1-based index to pick 01.jpg → 05.jpg
+   * @returns {string|null} URL relative to web root
+   */
+  getLetterPath(character, styleKey, location, variantIndex = 1) {
+    const candidates = this.getLetterPathCandidates(character, styleKey, location, variantIndex);
+    return candidates.length > 0 ? candidates[0] : null;
+  }
+
+  /**
+   * Build every path a character's numbered variant may live at. Letters can sit
+   * in any alphabet folder and any style folder alias the style registry knows.
+   *
+   * @param {string} character    A single alphanumeric character or symbol
+   * @param {string} styleKey     A style registry key ("sans", "script", …)
+   * @param {string} location     City code (e.g. "NYC")
+   * @param {number} variantIndex 1-based variant number
+   * @returns {string[]} Candidate URLs relative to web root, most likely first
+   */
+  getLetterPathCandidates(character, styleKey, location, variantIndex = 1) {
+    // Format the variant index as a two-digit string
+    const idx = String(variantIndex).padStart(2, '0');
+    
+    const kind = classifyCharacter(character);
+    
+    // Numbers and symbols are style independent: the city's own folder first,
+    // then the shared root folder
+    if (kind === 'digit' || kind === 'symbol') {
+      const group = kind === 'digit' ? 'Numbers' : 'Symbols';
+      const folder = kind === 'digit' ? character : AssetService.symbolFolderMap[character];
+      return [
+        ['assets', 'Alphabet', 'cities', location, group, folder, `${idx}.jpg`].join('/'),
+        ['assets', group, folder, `${idx}.jpg`].join('/')
+      ];
+    }
+    
+    // Letters, accented letters and ligatures ("é", "ST")
+    if (kind === 'letter') {
+      const { folder: letter, caseType } = letterFolder(character); // "A", "upper"
+      const styleDirs = styleRegistry.getFolderCandidates(styleKey, caseType);
+      
+      if (styleDirs.length === 0) {
+        console.error(`Unknown style key: ${styleKey}`);
+        return [];
+      }
+      
+      // e.g. assets/Alphabet/cities/NYC/alphabet/A/sans-upper/01.jpg
+      const candidates = [];
+      for (const styleDir of styleDirs) {
+        for (const alphabetDir of styleRegistry.alphabetFolders) {
+          candidates.push([
+            'assets',
+            'Alphabet',
+            'cities',
+            location,
+            alphabetDir,
+            letter,
+            styleDir,
+            `${idx}.jpg`
+          ].join('/'));
+        }
+      }
+      return candidates;
+    }
+    
+    // Unsupported character
+    return [];
+  }
+
+  /**
+   * Answer a variant lookup from the manifest, without any network access.
+   * City-specific Numbers/Symbols take precedence over the shared root folders.
+   *
+   * @param {string} character
+   * @param {string} styleKey
+   * @param {string} location
+   * @returns {string[]|null} Asset paths, or null when no manifest is loaded
+   */
+  getManifestVariants(character, styleKey, location) {
+    if (!this.manifest) return null;
+    
+    const cityEntries = this.manifest.cities[location] || {};
+    
+    const kind = classifyCharacter(character);
+    
+    // Letters: collect every style folder the registry resolves to this style/case
+    if (kind === 'letter') {
+      const { folder: letter, caseType } = letterFolder(character);
+      const styleFolders = cityEntries[letter] || {};
+      
+      const paths = [];
+      for (const [folderName, files] of Object.entries(styleFolders)) {
+        if (styleRegistry.folderMatches(folderName, styleKey, caseType)) {
+          files.forEach(file => paths.push(file.path));
+        }
+      }
+      return paths;
+    }
+    
+    if (kind === 'other') return [];
+    const charFolder = kind === 'digit' ? character : AssetService.symbolFolderMap[character];
+    
+    const sharedEntries = this.manifest.shared || {};
+    const files = (cityEntries[charFolder] && cityEntries[charFolder].default) ||
+      (sharedEntries[charFolder] && sharedEntries[charFolder].default) ||
+      [];
+    
+    return files.map(file => file.path);
+  }
+
+  /**
+   * Multi-letter glyphs with photos in a city, e.g. "ST" in ST/sans-upper or
+   * "th" in TH/script-lower. Needs a manifest; probing can't discover them.
+   * @param {string} location - City code
+   * @returns {string[]} Ligatures in the case they're photographed in
+   */
+  getLigatures(location) {
+    if (!this.manifest) return [];
+    
+    const ligatures = new Set();
+    const cityEntries = this.manifest.cities[location] || {};
+    for (const [key, styleFolders] of Object.entries(cityEntries)) {
+      if ([...key].length < 2 || classifyCharacter(key) !== 'letter') continue;
+      
+      for (const folderName of Object.keys(styleFolders)) {
+        const parsed = styleRegistry.parseFolder(folderName);
+        if (parsed) {
+          ligatures.add(parsed.caseType === 'lower' ? key.toLowerCase() : key.toUpperCase());
+        }
+      }
+    }
+    return [...ligatures];
+  }
+
+  /**
+   * Gather the variants that actually exist: every manifest entry when a manifest
+   * is loaded, otherwise the first resolver's answer.
+   * If none exist, returns an SVG fallback URL.
+   *
+   * @param {string} character
+   * @param {string} styleKey
+   * @param {string} location
+   * @param {boolean} skipFallback - If true, don't generate SVG fallback when no variants found
+   * @returns {Promise<string[]>} Array of existing URLs
+   */
+  async resolveVariants(character, styleKey, location, skipFallback = false) {
+    await this.ready;
+    
+    // With a manifest, the answer is known without probing
+    let found = this.getManifestVariants(character, styleKey, location) || [];
+    
+    if (found.length === 0) {
+      for (const resolver of this.activeResolvers) {
+        found = await resolver.resolve(character, styleKey, location, this);
+        if (found.length > 0) break;
+      }
+    }
+    
+    // If no variants found and not skipping fallbacks, add SVG fallback URL
+    if (found.length === 0 && !skipFallback) {
+      return [this.getFallback(character, styleKey).src];
+    }
+    
+    return found;
+  }
+
+  /**
+   * Generated stand-in glyph for a character without photos.
+   * @param {string} character
+   * @param {string} styleKey - Style key, or a full "style-case" folder name
+   * @returns {Object} { src, isFallback, isGenerated } where src is an SVG data URL
+   */
+  getFallback(character, styleKey) {
+    let style = styleKey;
+    // Letters use their case-specific style
+    if (classifyCharacter(character) === 'letter' && !/-(upper|lower)$/.test(styleKey)) {
+      style = `${styleKey}-${letterFolder(character).caseType}`;
+    }
+    
+    this.stats.record('fallback');
+    return this.generator.generateLetter(character, style);
+  }
+
+  /**
+   * Load an image (or previously found variant) and cache it.
+   * @param {string} path
+   * @returns {Promise<HTMLImageElement|null>}
+   */
+  async loadImage(path) {
+    if (!path) return null;
+    this.stats.record('requested');
+    
+    // If this is an SVG data URL, create a simple image object
+    if (path.startsWith('data:image/svg+xml')) {
+      const img = new Image();
+      img.src = path;
+      console.log(`Created SVG fallback image for: ${path.substring(0, 30)}...`);
+      return img; // Return immediately without waiting for load
+    }
+    
+    const cached = this.cache.get(`image:${path}`);
+    if (cached) {
+      console.log(`Cache hit for image: ${path}`);
+      this.stats.record('cached');
+      return cached;
+    }
+    
+    if (this.loadingPromises[path]) {
+      console.log(`Already loading image: ${path}`);
+      return this.loadingPromises[path];
+    }
+
+    console.log(`Loading image: ${path}`);
+    this.loadingPromises[path] = new Promise((resolve, reject) => {
+      const img = new Image();
+      
+      // Set timeout to avoid hanging
+      const timeoutId = setTimeout(() => {
+        delete this.loadingPromises[path];
+        this.stats.record('failed');
+        console.error(`Timeout loading image: ${path}`);
+        reject(new Error(`Timeout loading image: ${path}`));
+      }, 5000);
+      
+      img.onload = () => {
+        clearTimeout(timeoutId);
+        this.cache.set(`image:${path}`, img);
+        delete this.loadingPromises[path];
+        this.stats.record('loaded');
+        console.log(`Successfully loaded image: ${path}`);
+        resolve(img);
+      };
+      
+      img.onerror = () => {
+        clearTimeout(timeoutId);
+        delete this.loadingPromises[path];
+        this.stats.record('failed');
+        console.error(`Failed to load image: ${path}`);
+        reject(new Error(`Failed to load image: ${path}`));
+      };
+      
+      // Stable URLs let the browser's HTTP cache serve photos evicted from ours
+      img.src = this.getUrl(path);
+    });
+
+    return this.loadingPromises[path];
+  }
+  
+  /**
+   * Load a photo with its background removed. Results are cached per path
+   * and cutout settings, so re-tuning one letter doesn't redo the others.
+   * @param {string} path - Asset path
+   * @param {Object} [options] - Cutout settings (see cutout.js)
+   * @returns {Promise<HTMLCanvasElement>} Canvas with a transparent background
+   */
+  async loadCutout(path, options = {}) {
+    const key = `cutout:${path}|${cutoutKey(options)}`;
+    const cached = this.cache.get(key);
+    if (cached) return cached;
+    
+    const img = await this.loadImage(path);
+    const cutout = createCutout(img, options);
+    this.cache.set(key, cutout);
+    return cutout;
+  }
+  
+  /**
+   * Load a letter photo with a diacritic painted on (see characters.js), for
+   * accented letters that have no photos of their own. Cached per photo and mark.
+   * @param {string} path - Asset path of the base letter photo
+   * @param {string} mark - Combining mark from decompose()
+   * @returns {Promise<Object>} { url, canvas, width, height }; url is an object URL
+   */
+  async loadComposed(path, mark) {
+    const key = `${path}|${mark}`;
+    const cached = this.cache.get(`composed:${key}`);
+    if (cached) return cached;
+    
+    if (!this.composing.has(key)) {
+      const promise = this.loadImage(path).then(async img => {
+        const canvas = composeDiacritic(img, mark);
+        const composed = { url: await this._composedUrl(key, canvas), canvas, width: canvas.width, height: canvas.height };
+        this.cache.set(`composed:${key}`, composed);
+        return composed;
+      });
+      const done = () => this.composing.delete(key);
+      promise.then(done, done);
+      this.composing.set(key, promise);
+    }
+    return this.composing.get(key);
+  }
+  
+  /**
+   * The object URL of a composed letter. URLs outlive the cache entry: placed
+   * letters, locks and undo states keep pointing at them after an eviction,
+   * so they are only released with the source of their photo.
+   */
+  async _composedUrl(key, canvas) {
+    if (!this.composedUrls.has(key)) {
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      if (!blob) {
+        throw new Error(`Could not compose ${key}`);
+      }
+      this.composedUrls.set(key, URL.createObjectURL(blob));
+    }
+    return this.composedUrls.get(key);
+  }
+  
+  _forgetComposedUrls(path) {
+    for (const [key, url] of this.composedUrls) {
+      if (!key.startsWith(`${path}|`)) continue;
+      this.composedUrls.delete(key);
+      URL.revokeObjectURL(url);
+    }
+  }
+  
+  /**
+   * Snapshot of asset activity and cache state.
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats.snapshot(),
+      source: [
+        ...this.getSources().map(source => source.name),
+        ...this.activeResolvers.map(resolver => resolver.name)
+      ].join(', ') || 'fallback',
+      manifestImages: this.manifestPaths.size,
+      cache: this.cache.getStats(),
+      pendingLoads: Object.keys(this.loadingPromises).length,
+      resolvers: Object.fromEntries(this.activeResolvers
+        .filter(resolver => resolver.getStats)
+        .map(resolver => [resolver.name, resolver.getStats()])),
+      generator: this.generator.getStats ? this.generator.getStats() : null
+    };
+  }
+}
+
+// Export a singleton instance
+const assetService = new AssetService();
+
+export { AssetService };
+export default assetService;
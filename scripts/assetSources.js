@@ -0,0 +1,579 @@
+// assetSources.js
+// Where letter photos come from: the bundled assets/ tree, a local folder,
+// dropped image files or a zip asset pack. Every source produces an index in
+// the asset manifest's shape, which the asset service merges into one.
+
+import styleRegistry from './styleRegistry.js';
+import { crc32 } from './utils.js';
+import { SYMBOL_FOLDERS, classifyCharacter, letterFolder } from './characters.js';
+import { getAll, put, remove } from './storage.js';
+import config from './config.js';
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+// Folders that hold glyphs without a style/case level underneath them
+const FLAT_CATEGORIES = ['numbers', 'symbols'];
+
+// Style key used for glyphs that live directly in a character folder
+const DEFAULT_STYLE = 'default';
+
+// Symbol folder names, which loose symbol files are named after
+const SYMBOL_NAMES = new Set(Object.values(SYMBOL_FOLDERS));
+
+let nextSourceId = 1;
+
+function extensionOf(name) {
+  const dot = name.lastIndexOf('.');
+  return dot >= 0 ? name.slice(dot).toLowerCase() : '';
+}
+
+function isImageName(name) {
+  return extensionOf(name) in IMAGE_TYPES && !name.split('/').pop().startsWith('.');
+}
+
+// Images plus their JSON metadata sidecars
+function isAssetName(name) {
+  return isImageName(name) || (extensionOf(name) === '.json' && !name.split('/').pop().startsWith('.'));
+}
+
+function emptyIndex() {
+  return { version: 1, cities: {}, shared: {} };
+}
+
+function addEntry(section, character, style, entry) {
+  section[character] = section[character] || {};
+  section[character][style] = section[character][style] || [];
+  section[character][style].push(entry);
+}
+
+/**
+ * Work out where a file belongs from its relative path, following the same
+ * layout as tools/buildManifest.mjs:
+ *   …/cities/<city>/<alphabet>/<char>/<style-case>/<file>
+ *   …/cities/<city>/<Numbers|Symbols>/<char>/<file>
+ *   …/<Numbers|Symbols>/<char>/<file>            (shared between cities)
+ *   …/<alphabet>/<char>/<style-case>/<file>      (in the source's default city)
+ * Loose files are named <char>_<style-case>[_<city>][_<nn>].jpg instead,
+ * e.g. "A_sans-upper_NYC_03.jpg" or "period_NYC.jpg".
+ * @returns {{city: string|null, character: string, style: string}|null} null if unplaceable
+ */
+function placeFile(relativePath, defaultCity) {
+  const segments = relativePath.split('/').filter(Boolean);
+  const lower = segments.map(segment => segment.toLowerCase());
+  const dirs = segments.length - 1; // Index of the file name
+
+  const cityAt = lower.indexOf('cities');
+  if (cityAt >= 0 && cityAt + 3 <= dirs) {
+    const city = segments[cityAt + 1];
+    const group = lower[cityAt + 2];
+    if (FLAT_CATEGORIES.includes(group) && cityAt + 4 === dirs) {
+      return { city, character: segments[cityAt + 3], style: DEFAULT_STYLE };
+    }
+    if (cityAt + 5 === dirs) {
+      return { city, character: segments[cityAt + 3], style: segments[cityAt + 4] };
+    }
+    return null;
+  }
+
+  const flatAt = lower.findIndex(segment => FLAT_CATEGORIES.includes(segment));
+  if (flatAt >= 0 && flatAt + 2 === dirs) {
+    return { city: null, character: segments[flatAt + 1], style: DEFAULT_STYLE };
+  }
+
+  const alphabetFolders = styleRegistry.alphabetFolders.map(name => name.toLowerCase());
+  const alphabetAt = lower.findIndex(segment => alphabetFolders.includes(segment));
+  if (alphabetAt >= 0 && alphabetAt + 3 === dirs) {
+    return { city: defaultCity, character: segments[alphabetAt + 1], style: segments[alphabetAt + 2] };
+  }
+
+  return placeByName(segments[dirs], defaultCity);
+}
+
+/**
+ * Place a loose file by its name (see placeFile).
+ */
+function placeByName(fileName, defaultCity) {
+  const base = fileName.slice(0, fileName.length - extensionOf(fileName).length);
+  const [first, ...rest] = base.split('_');
+  if (!first) return null;
+
+  let style = null;
+  let city = defaultCity;
+  for (const token of rest) {
+    if (styleRegistry.parseFolder(token)) {
+      style = token;
+    } else if (!/^\d+$/.test(token)) {
+      city = token;
+    }
+  }
+
+  // Digits and symbols ("period_NYC.jpg", named like their folder) need no style folder;
+  // symbol names are checked first since they'd otherwise pass for ligatures
+  if (SYMBOL_NAMES.has(first)) return { city, character: first, style: DEFAULT_STYLE };
+  const kind = classifyCharacter(first);
+  if (kind === 'digit') return { city, character: first, style: DEFAULT_STYLE };
+  if (kind === 'symbol') return { city, character: SYMBOL_FOLDERS[first], style: DEFAULT_STYLE };
+  // Letters (and ligatures, "ST_sans-upper.jpg") need one
+  if (kind === 'letter' && style) return { city, character: letterFolder(first).folder, style };
+  return null;
+}
+
+/**
+ * Read photo metadata from JSON files among the source's files: a sidecar
+ * named like its photo ("03.json" for "03.jpg"), or a "metadata.json" mapping
+ * paths relative to its folder to metadata (as in downloaded contribution packs).
+ * @returns {Promise<Function>} relativePath → raw metadata or null
+ */
+async function readSidecars(files) {
+  const sidecars = new Map(); // Path without extension → metadata
+  const listed = new Map();   // Full image path → metadata
+
+  for (const { relativePath, blob } of files) {
+    if (extensionOf(relativePath) !== '.json') continue;
+
+    let data;
+    try {
+      data = JSON.parse(await blob.text());
+    } catch (error) {
+      console.warn(`Ignoring unreadable metadata file ${relativePath}`, error);
+      continue;
+    }
+    if (!data || typeof data !== 'object') continue;
+
+    const folder = relativePath.slice(0, relativePath.lastIndexOf('/') + 1);
+    if (relativePath.slice(folder.length).toLowerCase() === 'metadata.json') {
+      for (const [path, metadata] of Object.entries(data)) {
+        listed.set(folder + path, metadata);
+      }
+    } else {
+      sidecars.set(relativePath.slice(0, -'.json'.length), data);
+    }
+  }
+
+  return relativePath => listed.get(relativePath) ||
+    sidecars.get(relativePath.slice(0, relativePath.length - extensionOf(relativePath).length)) ||
+    null;
+}
+
+/**
+ * Build a manifest-shaped index from files with relative paths.
+ * @param {Object[]} files - { relativePath, blob, metadata? }
+ * @param {Object} options - { sourceId, defaultCity }
+ * @returns {Promise<{index: Object, urls: string[], skipped: string[]}>}
+ */
+async function indexFiles(files, { sourceId, defaultCity }) {
+  const index = emptyIndex();
+  const urls = [];
+  const skipped = [];
+  const sidecarFor = await readSidecars(files);
+
+  for (const { relativePath, blob, metadata: own } of files) {
+    if (!isImageName(relativePath)) continue;
+    const metadata = own || sidecarFor(relativePath);
+
+    const place = placeFile(relativePath, defaultCity);
+    if (!place) {
+      skipped.push(relativePath);
+      continue;
+    }
+
+    // Give blobs the right type so <img> and p5 decode them
+    const typed = blob.type ? blob : new Blob([blob], { type: IMAGE_TYPES[extensionOf(relativePath)] });
+    const url = URL.createObjectURL(typed);
+    urls.push(url);
+
+    const entry = {
+      path: `${sourceId}:${relativePath}`,
+      url,
+      width: null,
+      height: null,
+      source: sourceId
+    };
+    if (metadata) {
+      entry.metadata = metadata;
+      entry.width = metadata.width || null;
+      entry.height = metadata.height || null;
+    }
+
+    if (place.city) {
+      index.cities[place.city] = index.cities[place.city] || {};
+      addEntry(index.cities[place.city], place.character, place.style, entry);
+    } else {
+      addEntry(index.shared, place.character, place.style, entry);
+    }
+  }
+
+  return { index, urls, skipped };
+}
+
+/**
+ * Base for sources built from user files: indexes them and frees their
+ * object URLs when removed.
+ */
+class FileAssetSource {
+  constructor(kind, name, options = {}) {
+    this.id = `${kind}-${nextSourceId++}`;
+    this.kind = kind;
+    this.name = name;
+    this.defaultCity = options.city || config.defaults.city;
+    this.urls = [];
+    this.skipped = [];
+  }
+
+  /**
+   * Subclasses return [{ relativePath, blob }], including any .json sidecars.
+   */
+  async _collectFiles() {
+    return [];
+  }
+
+  /**
+   * @returns {Promise<Object>} Index in the asset manifest's shape
+   */
+  async load() {
+    const files = await this._collectFiles();
+    const { index, urls, skipped } = await indexFiles(files, { sourceId: this.id, defaultCity: this.defaultCity });
+    this.urls = urls;
+    this.skipped = skipped;
+    if (skipped.length > 0) {
+      console.warn(`${this.name}: ${skipped.length} image(s) could not be placed`, skipped);
+    }
+    return index;
+  }
+
+  dispose() {
+    this.urls.forEach(url => URL.revokeObjectURL(url));
+    this.urls = [];
+  }
+}
+
+/**
+ * The assets/ tree deployed next to index.html, described by its manifest.
+ */
+export class BundledSource {
+  constructor(manifestUrl = config.assets.manifestUrl) {
+    this.id = 'bundled';
+    this.kind = 'bundled';
+    this.name = 'Bundled assets';
+    this.manifestUrl = manifestUrl;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The manifest, or null when there is none
+   */
+  async load() {
+    try {
+      const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+      if (!response.ok) {
+        console.warn(`No asset manifest at ${this.manifestUrl} (HTTP ${response.status}). Probing for assets instead.`);
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      console.warn(`Could not load asset manifest from ${this.manifestUrl}. Probing for assets instead.`, error);
+      return null;
+    }
+  }
+
+  dispose() {}
+}
+
+/**
+ * A folder on the user's disk, from the File System Access API
+ * (a directory handle) or an <input webkitdirectory> file list.
+ */
+export class LocalFolderSource extends FileAssetSource {
+  /**
+   * @param {FileSystemDirectoryHandle|FileList|File[]} folder
+   * @param {Object} [options] - { city } used for folders without a cities/ level
+   */
+  constructor(folder, options = {}) {
+    const name = folder.name || (folder[0] && folder[0].webkitRelativePath.split('/')[0]) || 'Local folder';
+    super('folder', name, options);
+    this.folder = folder;
+  }
+
+  async _collectFiles() {
+    if (typeof this.folder.values === 'function' && this.folder.kind === 'directory') {
+      return this._walkHandle(this.folder, '');
+    }
+    return [...this.folder].map(file => ({
+      relativePath: file.webkitRelativePath || file.name,
+      blob: file
+    }));
+  }
+
+  async _walkHandle(handle, prefix) {
+    const files = [];
+    for await (const entry of handle.values()) {
+      const relativePath = `${prefix}${entry.name}`;
+      if (entry.kind === 'directory') {
+        files.push(...await this._walkHandle(entry, `${relativePath}/`));
+      } else if (isAssetName(entry.name)) {
+        files.push({ relativePath, blob: await entry.getFile() });
+      }
+    }
+    return files;
+  }
+}
+
+/**
+ * Images dropped onto the page. Dropped folders keep their layout; loose
+ * files are placed by name (see placeFile).
+ */
+export class DroppedFilesSource extends FileAssetSource {
+  /**
+   * @param {DataTransfer} dataTransfer - From a drop event
+   * @param {Object} [options] - { city } for files that don't name one
+   */
+  constructor(dataTransfer, options = {}) {
+    super('drop', 'Dropped images', options);
+    // Entries must be taken synchronously, before the drop event ends
+    this.entries = [...dataTransfer.items]
+      .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+    this.files = this.entries.length > 0 ? [] : [...dataTransfer.files];
+  }
+
+  async _collectFiles() {
+    const files = this.files.map(file => ({ relativePath: file.name, blob: file }));
+    for (const entry of this.entries) {
+      files.push(...await this._walkEntry(entry, ''));
+    }
+    return files;
+  }
+
+  async _walkEntry(entry, prefix) {
+    const relativePath = `${prefix}${entry.name}`;
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      return [{ relativePath, blob: file }];
+    }
+
+    // Directory readers return entries in batches until an empty one
+    const reader = entry.createReader();
+    const children = [];
+    let batch;
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      children.push(...batch);
+    } while (batch.length > 0);
+
+    const files = [];
+    for (const child of children) {
+      files.push(...await this._walkEntry(child, `${relativePath}/`));
+    }
+    return files;
+  }
+}
+
+/**
+ * A zip "asset pack" laid out like the assets/ tree (or with loose, named files).
+ * Supports stored and deflated entries.
+ */
+export class ZipPackSource extends FileAssetSource {
+  /**
+   * @param {File|Blob} file - The .zip file
+   * @param {Object} [options] - { city } for packs without a cities/ level
+   */
+  constructor(file, options = {}) {
+    super('zip', file.name || 'Asset pack', options);
+    this.file = file;
+  }
+
+  async _collectFiles() {
+    const buffer = await this.file.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end-of-central-directory record sits in the last 64 KiB + 22 bytes
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) {
+      throw new Error(`${this.name} is not a zip file`);
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = [];
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error(`${this.name} has a damaged central directory`);
+      }
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const relativePath = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (relativePath.endsWith('/') || relativePath.startsWith('__MACOSX/') || !isAssetName(relativePath)) {
+        continue;
+      }
+
+      // Data follows the local header, whose name/extra lengths may differ
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Blob([new Uint8Array(buffer, dataStart, compressedSize)]);
+      const type = IMAGE_TYPES[extensionOf(relativePath)] || 'application/json';
+
+      if (method === 0) {
+        files.push({ relativePath, blob: new Blob([data], { type }) });
+      } else if (method === 8) {
+        const inflated = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        const bytes = await new Response(inflated).arrayBuffer();
+        files.push({ relativePath, blob: new Blob([bytes], { type }) });
+      } else {
+        console.warn(`${this.name}: skipping ${relativePath} (unsupported compression ${method})`);
+      }
+    }
+
+    return files;
+  }
+}
+
+/**
+ * Build an uncompressed zip file. JPEG and PNG data gains nothing from deflate.
+ * @param {Object[]} files - { relativePath, bytes: Uint8Array }
+ * @returns {Blob} application/zip
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { relativePath, bytes } of files) {
+    const name = encoder.encode(relativePath);
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);            // Version needed
+    local.setUint16(6, 0x0800, true);        // UTF-8 names
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true); // Compressed size
+    local.setUint32(22, bytes.length, true); // Size
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, bytes);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true);           // Version made by
+    header.setUint16(6, 20, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, bytes.length, true);
+    header.setUint32(24, bytes.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header, name);
+
+    offset += 30 + name.length + bytes.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Letters saved from the contribution panel. Kept in IndexedDB so they
+ * survive reloads, and exportable as a zip asset pack laid out like assets/.
+ */
+export class LocalPackSource extends FileAssetSource {
+  constructor() {
+    super('local', 'My contributions');
+    this.id = 'local-pack';
+    this.records = null; // { relativePath, blob, metadata }, read from storage on first load
+  }
+
+  async _collectFiles() {
+    if (!this.records) {
+      try {
+        this.records = await getAll('assetPack');
+      } catch (error) {
+        console.warn('Saved contributions are unavailable; keeping new ones for this visit only', error);
+        this.records = [];
+      }
+    }
+    return this.records;
+  }
+
+  async load() {
+    // Re-indexing hands out fresh object URLs
+    this.dispose();
+    return super.load();
+  }
+
+  /**
+   * Add a letter photo to the pack.
+   * @param {Object} record - { relativePath, blob, metadata }
+   * @returns {Promise<boolean>} Whether it was also saved for later visits
+   */
+  async save(record) {
+    await this._collectFiles();
+    this.records = this.records.filter(r => r.relativePath !== record.relativePath).concat(record);
+    try {
+      await put('assetPack', record);
+      return true;
+    } catch (error) {
+      console.warn(`Could not store ${record.relativePath}; it lasts until the page is closed`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a letter photo from the pack.
+   * @param {string} relativePath
+   */
+  async delete(relativePath) {
+    await this._collectFiles();
+    this.records = this.records.filter(r => r.relativePath !== relativePath);
+    try {
+      await remove('assetPack', relativePath);
+    } catch (error) {
+      console.warn(`Could not remove ${relativePath} from storage`, error);
+    }
+  }
+
+  /**
+   * The pack as a zip with a metadata.json next to the photos, ready to be
+   * merged into assets/ or loaded back with ZipPackSource.
+   * @returns {Promise<Blob>}
+   */
+  async toZip() {
+    const records = await this._collectFiles();
+    const files = [];
+    const metadata = {};
+
+    for (const record of records) {
+      files.push({ relativePath: record.relativePath, bytes: new Uint8Array(await record.blob.arrayBuffer()) });
+      metadata[record.relativePath] = record.metadata || {};
+    }
+    files.push({
+      relativePath: 'metadata.json',
+      bytes: new TextEncoder().encode(JSON.stringify(metadata, null, 2) + '\n')
+    });
+
+    return createZip(files);
+  }
+}
@@ -0,0 +1,230 @@
+// assetStrategies.js
+// Pluggable parts of the asset service: how variants are found without a
+// manifest, and how asset activity is counted
+
+import styleRegistry from './styleRegistry.js';
+import { createLogger, runLimited } from './utils.js';
+import { classifyCharacter, letterFolder } from './characters.js';
+import config from './config.js';
+
+const logger = createLogger('Assets', config.debug.enabled);
+
+/**
+ * Variant resolvers answer "which image paths exist for this character?" when
+ * no manifest is loaded. Each resolver implements:
+ *   name                                        - label used in stats
+ *   initialize(service)  → Promise<boolean>     - one-time detection; false disables the resolver
+ *   resolve(character, styleKey, location, service) → Promise<string[]>
+ * The service tries resolvers in order and uses the first non-empty answer.
+ */
+
+/**
+ * Probes the known folder layout (assets/Alphabet/cities/<city>/…) using every
+ * folder alias the style registry knows, for variants 01–03. Folders are
+ * probed a few at a time, and counting stops at a folder's first missing number.
+ */
+export class RegistryProbeResolver {
+  constructor() {
+    this.name = 'registry-probe';
+  }
+
+  /**
+   * Quick check to see if any assets exist to reduce 404 errors
+   */
+  async initialize(service) {
+    // Test a few common paths and variants
+    const testCases = [
+      // Test sans-serif uppercase
+      'assets/Alphabet/cities/NYC/alphabet/A/sans-upper/01.jpg',
+      'assets/alphabet/NYC/A/sans-upper/01.jpg',
+      'assets/alphabet/cities/NYC/alphabet/A/sans-upper/01.jpg',
+
+      // Test sans-serif lowercase
+      'assets/Alphabet/cities/NYC/alphabet/a/sans-lower/01.jpg',
+      'assets/alphabet/NYC/a/sans-lower/01.jpg',
+
+      // Test serif
+      'assets/Alphabet/cities/NYC/alphabet/A/serif-upper/01.jpg',
+      'assets/alphabet/NYC/A/serif-upper/01.jpg',
+
+      // Basic tests without cities subfolder
+      'assets/A/sans-upper/01.jpg',
+      'assets/alphabet/A/sans-upper/01.jpg',
+
+      // Test numbers folder (both standalone and nested structures)
+      'assets/Numbers/1/01.jpg',
+      'assets/numbers/1/01.jpg',
+
+      // Test symbols folder at root level
+      'assets/Symbols/period/01.jpg',
+      'assets/symbols/period/01.jpg',
+      'assets/Symbols/exclamation/01.jpg',
+    ];
+
+    logger.log('Checking for asset availability...');
+
+    const found = { alphabet: false, numbers: false, symbols: false };
+    for (const testPath of testCases) {
+      if (!(await service.pathExists(testPath))) continue;
+
+      logger.log(`Assets detected at path: ${testPath}`);
+      if (/numbers/i.test(testPath)) {
+        found.numbers = true;
+      } else if (/symbols/i.test(testPath)) {
+        found.symbols = true;
+      } else {
+        found.alphabet = true;
+      }
+    }
+
+    logger.log(`Asset detection complete:
+      - Alphabet assets: ${found.alphabet ? 'FOUND' : 'NOT FOUND'}
+      - Number assets: ${found.numbers ? 'FOUND' : 'NOT FOUND'}
+      - Symbol assets: ${found.symbols ? 'FOUND' : 'NOT FOUND'}
+    `);
+
+    return found.alphabet || found.numbers || found.symbols;
+  }
+
+  async resolve(character, styleKey, location, service) {
+    // One candidate folder per alias; variants are numbered from 01 without gaps
+    const folders = service.getLetterPathCandidates(character, styleKey, location, 1)
+      .map(path => path.slice(0, path.lastIndexOf('/') + 1));
+    
+    const perFolder = await runLimited(folders.map(folder => async () => {
+      const found = [];
+      // Only check first 3 variants to reduce 404s
+      for (let i = 1; i <= 3; i++) {
+        const path = `${folder}${String(i).padStart(2, '0')}.jpg`;
+        if (!(await service.pathExists(path))) break;
+        found.push(path);
+      }
+      return found;
+    }), config.assets.concurrency);
+    return perFolder.flat();
+  }
+}
+
+/**
+ * Detects which of several common folder layouts the assets use, by trying
+ * base folders × path templates for a known letter, then builds paths from the
+ * template that worked. Covers asset trees that don't follow the city layout.
+ */
+export class TemplateResolver {
+  static basePaths = [
+    '',          // Root relative
+    'assets/',   // assets/ folder
+    './assets/', // Explicit relative path
+    'images/',   // images folder
+    'letters/'   // letters folder
+  ];
+
+  static templates = [
+    '${base}${city}/alphabet/${letter}/${style}/${variant}.jpg',
+    '${base}cities/${city}/alphabet/${letter}/${style}/${variant}.jpg',
+    '${base}alphabet/${city}/${letter}/${style}/${variant}.jpg',
+    '${base}${letter}/${style}/${variant}.jpg',
+    '${base}${style}/${letter}/${variant}.jpg',
+    '${base}${letter}_${style}_${variant}.jpg'
+  ];
+
+  constructor(options = {}) {
+    this.name = 'template';
+    this.basePaths = options.basePaths || TemplateResolver.basePaths;
+    this.templates = options.templates || TemplateResolver.templates;
+    this.basePath = null;
+    this.workingPathPattern = null;
+  }
+
+  /**
+   * Replace placeholders in a template string
+   */
+  _replacePlaceholders(template, values) {
+    let result = template;
+    for (const [key, value] of Object.entries(values)) {
+      result = result.replace(`\${${key}}`, value);
+    }
+    return result;
+  }
+
+  async initialize(service) {
+    logger.log('Trying to detect asset base path...');
+
+    // Test each combination of base path and template
+    for (const basePath of this.basePaths) {
+      for (const template of this.templates) {
+        const testPath = this._replacePlaceholders(template, {
+          base: basePath,
+          city: config.defaults.city,
+          letter: 'A',
+          style: 'sans-upper',
+          variant: '01'
+        });
+
+        if (await service.pathExists(testPath)) {
+          logger.log(`Found working path pattern: ${template} with base: ${basePath}`);
+          this.basePath = basePath;
+          this.workingPathPattern = template;
+          return true;
+        }
+      }
+    }
+
+    logger.warn('Could not find a working asset path template.');
+    return false;
+  }
+
+  async resolve(character, styleKey, location, service) {
+    if (!this.workingPathPattern || classifyCharacter(character) !== 'letter') return [];
+
+    const { folder: letter, caseType } = letterFolder(character);
+    const found = [];
+
+    for (const style of styleRegistry.getFolderCandidates(styleKey, caseType)) {
+      for (let i = 1; i <= 3; i++) {
+        const path = this._replacePlaceholders(this.workingPathPattern, {
+          base: this.basePath,
+          city: location,
+          letter,
+          style,
+          variant: String(i).padStart(2, '0')
+        });
+        if (await service.pathExists(path)) {
+          found.push(path);
+        }
+      }
+    }
+    return found;
+  }
+
+  getStats() {
+    return { basePath: this.basePath, workingPathPattern: this.workingPathPattern };
+  }
+}
+
+/**
+ * Counts asset activity. The service calls record() with one of:
+ *   'requested' - an image load was asked for
+ *   'cached'    - it was answered from the cache
+ *   'loaded'    - it finished loading from the network
+ *   'failed'    - it could not be loaded
+ *   'fallback'  - a generated fallback glyph was handed out
+ *   'probed'    - a URL was tested for existence
+ */
+export class AssetStats {
+  constructor() {
+    this.reset();
+  }
+
+  record(event) {
+    this.counts[event] = (this.counts[event] || 0) + 1;
+  }
+
+  reset() {
+    this.counts = { requested: 0, cached: 0, loaded: 0, failed: 0, fallback: 0, probed: 0 };
+  }
+
+  snapshot() {
+    return { ...this.counts };
+  }
+}
@@ -0,0 +1,163 @@
+// characters.js
+// What kind of glyph a character is, where its photos live, and how accented
+// letters are built from a base letter when they have no photos of their own
+
+/**
+ * Folder names for symbols in the Symbols/ trees. Typographic variants share
+ * the folder of their plain counterpart.
+ */
+export const SYMBOL_FOLDERS = {
+  '!': 'exclamation',
+  '?': 'question',
+  '.': 'period',
+  ',': 'comma',
+  ':': 'colon',
+  ';': 'semicolon',
+  '"': 'quote',
+  '“': 'quote',
+  '”': 'quote',
+  "'": 'apostrophe',
+  '‘': 'apostrophe',
+  '’': 'apostrophe',
+  '(': 'parenthesis-open',
+  ')': 'parenthesis-close',
+  '[': 'bracket-open',
+  ']': 'bracket-close',
+  '{': 'brace-open',
+  '}': 'brace-close',
+  '<': 'angle-open',
+  '>': 'angle-close',
+  '+': 'plus',
+  '-': 'minus',
+  '–': 'en-dash',
+  '—': 'em-dash',
+  '*': 'asterisk',
+  '/': 'slash',
+  '\\': 'backslash',
+  '|': 'vertical-bar',
+  '=': 'equals',
+  '@': 'at',
+  '#': 'hash',
+  '$': 'dollar',
+  '€': 'euro',
+  '£': 'pound',
+  '%': 'percent',
+  '^': 'caret',
+  '&': 'ampersand',
+  '_': 'underscore',
+  '~': 'tilde',
+  '°': 'degree',
+  '…': 'ellipsis',
+  '¿': 'question-inverted',
+  '¡': 'exclamation-inverted'
+};
+
+/**
+ * Combining marks that can be drawn over (or under) a base letter photo,
+ * with a spacing form of the mark to paint.
+ */
+const DIACRITICS = {
+  '\u0300': { glyph: '`', position: 'above' }, // grave
+  '\u0301': { glyph: '´', position: 'above' }, // acute
+  '\u0302': { glyph: 'ˆ', position: 'above' }, // circumflex
+  '\u0303': { glyph: '˜', position: 'above' }, // tilde
+  '\u0304': { glyph: '¯', position: 'above' }, // macron
+  '\u0306': { glyph: '˘', position: 'above' }, // breve
+  '\u0307': { glyph: '˙', position: 'above' }, // dot above
+  '\u0308': { glyph: '¨', position: 'above' }, // diaeresis
+  '\u030a': { glyph: '˚', position: 'above' }, // ring
+  '\u030b': { glyph: '˝', position: 'above' }, // double acute
+  '\u030c': { glyph: 'ˇ', position: 'above' }, // caron
+  '\u0327': { glyph: '¸', position: 'below' }, // cedilla
+  '\u0328': { glyph: '˛', position: 'below' } // ogonek
+};
+
+// Band added to the photo for the mark, as a fraction of the photo height
+const MARK_SPACE = 0.35;
+
+/**
+ * @param {string} key - One character, or several letters for a ligature ("ST")
+ * @returns {string} 'letter' | 'digit' | 'symbol' | 'other'
+ */
+export function classifyCharacter(key) {
+  if (/^\p{L}+$/u.test(key)) return 'letter';
+  if (/^[0-9]$/.test(key)) return 'digit';
+  if (key in SYMBOL_FOLDERS) return 'symbol';
+  return 'other';
+}
+
+/**
+ * Letter folder and case of a letter or ligature: "a" → A/…-lower, "ST" → ST/…-upper.
+ * Letters without a single-letter capital ("ß") keep their own folder.
+ * @param {string} key
+ * @returns {{folder: string, caseType: string}}
+ */
+export function letterFolder(key) {
+  const upper = key.toUpperCase();
+  const folder = [...upper].length === [...key].length ? upper : key;
+  const caseType = key === key.toLowerCase() && key !== upper ? 'lower' : 'upper';
+  return { folder, caseType };
+}
+
+/**
+ * Split an accented letter into a plain base letter and one drawable mark.
+ * @param {string} char - e.g. "é"
+ * @returns {{base: string, mark: string}|null} { base: "e", mark: "\u0301" }, or null
+ */
+export function decompose(char) {
+  const [base, ...marks] = char.normalize('NFD');
+  if (marks.length !== 1 || !(marks[0] in DIACRITICS) || !/^[a-zA-Z]$/.test(base)) {
+    return null;
+  }
+  return { base, mark: marks[0] };
+}
+
+/**
+ * Paint a diacritic onto a letter photo, in a band added above (or below for
+ * cedillas and ogoneks) filled with the color of the photo's edge.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Loaded base letter photo
+ * @param {string} mark - Combining mark from decompose()
+ * @returns {HTMLCanvasElement}
+ */
+export function composeDiacritic(source, mark) {
+  const { glyph, position } = DIACRITICS[mark];
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+  const band = Math.round(height * MARK_SPACE);
+  const above = position === 'above';
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height + band;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, above ? band : 0, width, height);
+
+  // Continue the photo's edge color into the band
+  const edge = ctx.getImageData(0, above ? band : height - 1, width, 1).data;
+  const rgb = [0, 0, 0];
+  for (let i = 0; i < edge.length; i += 4) {
+    rgb[0] += edge[i];
+    rgb[1] += edge[i + 1];
+    rgb[2] += edge[i + 2];
+  }
+  const [r, g, b] = rgb.map(sum => Math.round(sum / width));
+  ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+  ctx.fillRect(0, above ? 0 : height, width, band);
+
+  // Size the mark to about half the band and center its ink in the band
+  ctx.font = 'bold 100px Helvetica, Arial, sans-serif';
+  const probe = ctx.measureText(glyph);
+  const inkHeight = Math.max(1, probe.actualBoundingBoxAscent + probe.actualBoundingBoxDescent);
+  const inkWidth = Math.max(1, probe.actualBoundingBoxLeft + probe.actualBoundingBoxRight);
+  const size = 100 * Math.min((band * 0.5) / inkHeight, (width * 0.6) / inkWidth);
+  ctx.font = `bold ${size}px Helvetica, Arial, sans-serif`;
+  const metrics = ctx.measureText(glyph);
+  const centerY = above ? band * 0.55 : height + band * 0.45;
+
+  ctx.fillStyle = 0.2126 * r + 0.7152 * g + 0.0722 * b > 128 ? '#1a1a1a' : '#f5f5f5';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(glyph, width / 2, centerY + (metrics.actualBoundingBoxAscent - metrics.actualBoundingBoxDescent) / 2);
+
+  return canvas;
+}
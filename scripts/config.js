@@ -2,18 +2,34 @@
 // Central configuration for the StreetType application
 
 const config = {
-    // Available cities
+    // Available cities (used when no asset manifest lists them)
     cities: ['NYC'],
     
-    // Available font styles
+    // Display names for city codes; unknown codes are shown as-is
+    cityLabels: {
+      NYC: 'New York City'
+    },
+    
+    // Available font styles (the style registry)
+    // `folders` lists the on-disk style folder names for each UI key. Matching is
+    // case-insensitive, and "Category:Name" folders also match on either part.
     fontStyles: [
-      { value: 'sans', label: 'Sans' },
-      { value: 'serif', label: 'Serif' },
-      { value: 'mono', label: 'Monospace' }, // Changed from 'mono' for consistency
-      { value: 'script', label: 'Script' },
-      { value: 'decorative', label: 'Decorative' }
+      { value: 'sans', label: 'Sans', folders: ['sans', 'sans-serif', 'Sans:Sans-Serif'] },
+      { value: 'serif', label: 'Serif', folders: ['serif', 'Serif:Serif'] },
+      { value: 'mono', label: 'Monospace', folders: ['monospace', 'mono', 'Mono:Monospace'] },
+      { value: 'script', label: 'Script', folders: ['script', 'handwriting', 'Script:Handwriting'] },
+      { value: 'decorative', label: 'Decorative', folders: ['decorative', 'display', 'Display:Decorative'] }
     ],
     
+    // Case suffixes used on style folders (e.g. "sans-upper")
+    caseFolders: {
+      upper: ['upper', 'uppercase', 'caps'],
+      lower: ['lower', 'lowercase']
+    },
+    
+    // Letter folder names inside a city pack
+    alphabetFolders: ['alphabet', 'Alphabet'],
+    
     // Font sizes
     fontSizes: {
       small: { height: 60, spacing: 10 },
@@ -31,14 +47,98 @@ const config = {
       default: [150, 150, 150]    // Gray for unknown styles
     },
     
-    // Canvas formats
+    // Canvas formats (physical width/height in inches)
     canvasFormats: {
-      '24x36': { aspectRatio: 2/3, className: 'canvas-24x36' },
-      '16x24': { aspectRatio: 2/3, className: 'canvas-16x24' },
-      '11x17': { aspectRatio: 11/17, className: 'canvas-11x17' },
-      '8.5x11': { aspectRatio: 8.5/11, className: 'canvas-8\\.5x11' },
-      '6x9': { aspectRatio: 2/3, className: 'canvas-6x9' },
-      '4x4': { aspectRatio: 1/1, className: 'canvas-4x4' }
+      '24x36': { width: 24, height: 36, aspectRatio: 2/3, className: 'canvas-24x36' },
+      '16x24': { width: 16, height: 24, aspectRatio: 2/3, className: 'canvas-16x24' },
+      '11x17': { width: 11, height: 17, aspectRatio: 11/17, className: 'canvas-11x17' },
+      '8.5x11': { width: 8.5, height: 11, aspectRatio: 8.5/11, className: 'canvas-8.5x11' },
+      '6x9': { width: 6, height: 9, aspectRatio: 2/3, className: 'canvas-6x9' },
+      '4x4': { width: 4, height: 4, aspectRatio: 1/1, className: 'canvas-4x4' }
+    },
+    
+    // Poster layout and print export
+    poster: {
+      margin: 0.05,              // Frame margin, as a fraction of the shorter side
+      exportDpi: 300,            // Print resolution for PNG export
+      maxExportPixels: 60000000, // Browser canvas budget; larger exports lower the DPI
+      overlayWidth: 0.25         // Width of export overlays (the map legend), as a fraction of the poster
+    },
+    
+    // Text layout inside the poster frame (see LayoutEngine)
+    layout: {
+      mode: 'fit',              // 'fit' scales letters to fill the frame, 'fixed' uses the size toggle
+      align: 'center',          // 'left' | 'center' | 'right' | 'justify'
+      verticalAlign: 'center',  // 'top' | 'center' | 'bottom'
+      proportional: true,       // Size each photo's width by its aspect ratio
+      tracking: 0,              // Extra letter gap in 1/1000 of the glyph height
+      kerning: {                // Pair adjustments in 1/1000 of the glyph height
+        AV: -60, VA: -60, AW: -40, WA: -40, AT: -40, TA: -40,
+        LT: -60, LV: -50, LY: -50, TO: -20, OT: -20
+      }
+    },
+    
+    // Photo adjustments for a consistent look across signs
+    adjustments: {
+      defaults: {
+        autoLevels: false,
+        contrast: 0,              // -100 … 100
+        saturation: 0,            // -100 … 100
+        colorMode: 'color',       // 'color' | 'grayscale' | 'duotone'
+        tint: null,               // Hex color from the palette below, or null
+        tintAmount: 40            // 0 … 100, used when a tint is chosen
+      },
+      palette: [
+        { value: '#a0703c', label: 'Sepia' },
+        { value: '#c0392b', label: 'Brick' },
+        { value: '#2e6f95', label: 'Subway Blue' },
+        { value: '#d4a017', label: 'Taxi Yellow' },
+        { value: '#2d6a4f', label: 'Park Green' }
+      ]
+    },
+    
+    // Generated stand-ins for characters without photos (see fallbackGlyph.js)
+    fallbackGlyphs: {
+      texture: 0.5,             // Grain and grime on the plate, 0 … 1
+      distress: 0.35            // Chipped and scratched paint, 0 … 1; 0 for clean glyphs
+    },
+    
+    // Asset lookup
+    assets: {
+      // Generated by tools/buildManifest.mjs; probing is used when it is missing
+      manifestUrl: 'assets/manifest.json',
+      concurrency: 6            // Letters looked up and loaded at the same time
+    },
+    
+    // Decoded images kept in memory (see imageCache.js)
+    cache: {
+      maxBytes: 256 * 1024 * 1024 // Photos, cutouts and composed letters, estimated at 4 bytes per pixel
+    },
+    
+    // Live preview while editing
+    preview: {
+      live: true,               // Re-render as you type and change settings
+      debounceMs: 300,          // Quiet time after the last change before re-rendering
+      yieldEvery: 16            // Letters selected between pauses that keep the page responsive
+    },
+    
+    // Saved projects (see project.js)
+    projects: {
+      autosaveDelay: 1000,      // Milliseconds after the last edit before autosaving
+      historyLimit: 100         // Undo steps kept
+    },
+    
+    // Coverage report: variants wanted of every character, style and case
+    coverage: {
+      targetVariants: 3
+    },
+    
+    // "Where is this from" map (see MapView); reads only local files
+    map: {
+      tileUrl: null,             // Local XYZ tiles, e.g. 'assets/tiles/{z}/{x}/{y}.png'; null draws outlines
+      tileAttribution: '',       // Credit line for the tiles, drawn in the corner
+      maxZoom: 17,
+      outlineUrl: 'assets/maps/{city}.geojson' // Simplified city outline, used without tiles
     },
     
     // Default settings
@@ -48,7 +148,8 @@ const config = {
       fontSize: 'small',
       canvasFormat: '16x24',
       text: 'Type something...',
-      caseOption: 'mixed'
+      caseOption: 'mixed',
+      glyphMode: 'tiles'        // 'tiles' draws whole photos, 'cutouts' removes their backgrounds
     },
     
     // Debug settings
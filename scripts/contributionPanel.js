@@ -0,0 +1,395 @@
+// contributionPanel.js
+// Dialog for turning a street photo into a letter: crop it with a
+// four-corner (perspective) box, tag it and hand it to the local asset pack
+
+import { classifyCharacter } from './characters.js';
+
+// Longest side of a saved letter photo, in pixels
+const MAX_OUTPUT_SIZE = 1200;
+// Size of the preview canvas the photo is fitted into
+const PREVIEW_WIDTH = 480;
+const PREVIEW_HEIGHT = 360;
+// How close (in preview pixels) a pointer must be to grab a corner
+const HANDLE_RADIUS = 12;
+
+/**
+ * Projective transform taking the unit square onto a quadrilateral
+ * (Heckbert's square-to-quad mapping). Corners run top-left, top-right,
+ * bottom-right, bottom-left.
+ * @returns {Function} (u, v) → [x, y]
+ */
+function squareToQuad(corners) {
+  const [p0, p1, p2, p3] = corners;
+  const dx1 = p1.x - p2.x;
+  const dx2 = p3.x - p2.x;
+  const dx3 = p0.x - p1.x + p2.x - p3.x;
+  const dy1 = p1.y - p2.y;
+  const dy2 = p3.y - p2.y;
+  const dy3 = p0.y - p1.y + p2.y - p3.y;
+
+  let g = 0;
+  let h = 0;
+  if (Math.abs(dx3) > 1e-9 || Math.abs(dy3) > 1e-9) {
+    const den = dx1 * dy2 - dx2 * dy1;
+    g = (dx3 * dy2 - dx2 * dy3) / den;
+    h = (dx1 * dy3 - dx3 * dy1) / den;
+  }
+  const a = p1.x - p0.x + g * p1.x;
+  const b = p3.x - p0.x + h * p3.x;
+  const d = p1.y - p0.y + g * p1.y;
+  const e = p3.y - p0.y + h * p3.y;
+
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return [(a * u + b * v + p0.x) / w, (d * u + e * v + p0.y) / w];
+  };
+}
+
+/**
+ * Output size for a crop: the average lengths of opposite edges, scaled to
+ * fit within maxSize.
+ */
+function cropSize(corners, maxSize) {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const [p0, p1, p2, p3] = corners;
+  const width = (distance(p0, p1) + distance(p3, p2)) / 2;
+  const height = (distance(p0, p3) + distance(p1, p2)) / 2;
+  const scale = Math.min(1, maxSize / Math.max(width, height, 1));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Straighten the quadrilateral of a photo into a rectangle.
+ * @param {ImageData} source - Full-resolution photo pixels
+ * @param {Object[]} corners - { x, y } in source pixels, clockwise from top-left
+ * @param {number} maxSize - Longest side of the result
+ * @returns {HTMLCanvasElement}
+ */
+function warpPerspective(source, corners, maxSize) {
+  const { width, height } = cropSize(corners, maxSize);
+  const src = source.data;
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const ctx = output.getContext('2d');
+  const result = ctx.createImageData(width, height);
+  const map = squareToQuad(corners);
+  const maxX = source.width - 1;
+  const maxY = source.height - 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sx, sy] = map((x + 0.5) / width, (y + 0.5) / height);
+      const fx = Math.min(maxX, Math.max(0, sx - 0.5));
+      const fy = Math.min(maxY, Math.max(0, sy - 0.5));
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const x1 = Math.min(maxX, x0 + 1);
+      const y1 = Math.min(maxY, y0 + 1);
+      const tx = fx - x0;
+      const ty = fy - y0;
+
+      // Bilinear sample of the four neighbouring pixels
+      const i00 = (y0 * source.width + x0) * 4;
+      const i10 = (y0 * source.width + x1) * 4;
+      const i01 = (y1 * source.width + x0) * 4;
+      const i11 = (y1 * source.width + x1) * 4;
+      const out = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const top = src[i00 + c] + (src[i10 + c] - src[i00 + c]) * tx;
+        const bottom = src[i01 + c] + (src[i11 + c] - src[i01 + c]) * tx;
+        result.data[out + c] = top + (bottom - top) * ty;
+      }
+      result.data[out + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(result, 0, 0);
+  return output;
+}
+
+export default class ContributionPanel {
+  constructor() {
+    this.element = null;
+    this.photo = null;       // Full-resolution canvas of the loaded photo
+    this.pixels = null;      // Its ImageData, read once for cropping
+    this.fileName = null;
+    this.fileDate = null;    // Last-modified date of the photo file, as a stand-in capture date
+    this.corners = [];       // { x, y } in photo pixels
+    this.scale = 1;          // Preview pixels per photo pixel
+    this.dragging = -1;
+
+    this._onKeyDown = event => {
+      if (event.key === 'Escape') {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Show the dialog.
+   * @param {Object} options
+   * @param {Object[]} options.styles - { value, label } style choices
+   * @param {string[]} options.cities - City codes to tag with
+   * @param {string} [options.style] - Preselected style key
+   * @param {string} [options.city] - Preselected city
+   * @param {Function} options.onSave - Called with { blob, character, style,
+   *   city, width, height, sourceFile, corners, credits }; resolves to a status message.
+   *   credits holds the photographer, license, address and capture date given
+   */
+  open({ styles, cities, style, city, onSave }) {
+    this.close();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    overlay.innerHTML = `
+      <div class="contribution-panel" role="dialog" aria-label="Contribute a letter photo">
+        <div class="variant-picker-header">
+          <span>Contribute a letter photo</span>
+          <button type="button" class="variant-picker-close" title="Close">×</button>
+        </div>
+        <div class="contribution-body">
+          <input type="file" name="photo" accept="image/*">
+          <canvas class="contribution-canvas" width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}"></canvas>
+          <p class="source-hint">Drag the four corners onto the letter's edges; slanted signs are straightened.</p>
+          <div class="contribution-fields">
+            <label>Character <input type="text" name="character" maxlength="3" autocomplete="off" title="A letter, digit or symbol, or a ligature such as ST"></label>
+            <label>Case
+              <select name="case">
+                <option value="upper">Uppercase</option>
+                <option value="lower">Lowercase</option>
+              </select>
+            </label>
+            <label>Style <select name="style"></select></label>
+            <label>City <select name="city"></select></label>
+            <label>Photographer <input type="text" name="photographer" autocomplete="name"></label>
+            <label>License <input type="text" name="license" placeholder="e.g. CC BY 4.0"></label>
+            <label class="contribution-wide">Address <input type="text" name="address" autocomplete="off"></label>
+          </div>
+          <div class="contribution-actions">
+            <canvas class="contribution-result" width="80" height="80"></canvas>
+            <button type="button" class="contribution-save" disabled>Save to My Contributions</button>
+          </div>
+          <p class="contribution-status"></p>
+        </div>
+      </div>
+    `;
+
+    const panel = overlay.querySelector('.contribution-panel');
+    const fileInput = panel.querySelector('[name="photo"]');
+    const canvas = panel.querySelector('.contribution-canvas');
+    const characterInput = panel.querySelector('[name="character"]');
+    const caseSelect = panel.querySelector('[name="case"]');
+    const styleSelect = panel.querySelector('[name="style"]');
+    const citySelect = panel.querySelector('[name="city"]');
+    const saveBtn = panel.querySelector('.contribution-save');
+    const status = panel.querySelector('.contribution-status');
+
+    styles.forEach(s => styleSelect.add(new Option(s.label, s.value)));
+    cities.forEach(c => citySelect.add(new Option(c, c)));
+    if (style) styleSelect.value = style;
+    if (city) citySelect.value = city;
+
+    const updateSaveState = () => {
+      saveBtn.disabled = !this.photo || characterInput.value.trim() === '';
+    };
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        await this._loadPhoto(file);
+        status.textContent = '';
+        this._drawPreview(canvas);
+        this._drawResult(panel.querySelector('.contribution-result'));
+      } catch (error) {
+        console.error('Could not open photo', error);
+        status.textContent = `Could not open ${file.name}.`;
+      }
+      updateSaveState();
+    });
+    characterInput.addEventListener('input', updateSaveState);
+
+    this._bindHandles(canvas, () => this._drawResult(panel.querySelector('.contribution-result')));
+
+    saveBtn.addEventListener('click', async () => {
+      const typed = characterInput.value.trim();
+      const character = classifyCharacter(typed) === 'letter'
+        ? (caseSelect.value === 'upper' ? typed.toUpperCase() : typed.toLowerCase())
+        : typed;
+
+      saveBtn.disabled = true;
+      status.textContent = 'Saving…';
+      try {
+        const cropped = warpPerspective(this.pixels, this.corners, MAX_OUTPUT_SIZE);
+        const blob = await new Promise(resolve => cropped.toBlob(resolve, 'image/jpeg', 0.92));
+        const credits = { date: this.fileDate };
+        for (const field of ['photographer', 'license', 'address']) {
+          const value = panel.querySelector(`[name="${field}"]`).value.trim();
+          if (value) credits[field] = value;
+        }
+        status.textContent = await onSave({
+          blob,
+          character,
+          style: styleSelect.value,
+          city: citySelect.value,
+          width: cropped.width,
+          height: cropped.height,
+          sourceFile: this.fileName,
+          corners: this.corners.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+          credits
+        });
+      } catch (error) {
+        console.error('Could not save contribution', error);
+        status.textContent = `Could not save: ${error.message}`;
+      }
+      updateSaveState();
+    });
+
+    overlay.addEventListener('mousedown', event => {
+      if (event.target === overlay) this.close();
+    });
+    panel.querySelector('.variant-picker-close').addEventListener('click', () => this.close());
+
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', this._onKeyDown);
+    this.element = overlay;
+  }
+
+  /**
+   * Read a photo file into a canvas and reset the crop box to an inset rectangle.
+   */
+  async _loadPhoto(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not decode ${file.name}`));
+        image.src = url;
+      });
+
+      const photo = document.createElement('canvas');
+      photo.width = img.naturalWidth;
+      photo.height = img.naturalHeight;
+      photo.getContext('2d').drawImage(img, 0, 0);
+
+      this.photo = photo;
+      this.pixels = photo.getContext('2d').getImageData(0, 0, photo.width, photo.height);
+      this.fileName = file.name;
+      this.fileDate = file.lastModified ? new Date(file.lastModified).toISOString().slice(0, 10) : null;
+      this.scale = Math.min(PREVIEW_WIDTH / photo.width, PREVIEW_HEIGHT / photo.height);
+
+      const insetX = photo.width * 0.15;
+      const insetY = photo.height * 0.15;
+      this.corners = [
+        { x: insetX, y: insetY },
+        { x: photo.width - insetX, y: insetY },
+        { x: photo.width - insetX, y: photo.height - insetY },
+        { x: insetX, y: photo.height - insetY }
+      ];
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Drag the crop corners with mouse, pen or touch.
+   * @param {HTMLCanvasElement} canvas - Preview canvas
+   * @param {Function} onRelease - Called when a corner is let go
+   */
+  _bindHandles(canvas, onRelease) {
+    const toPhoto = event => {
+      const rect = canvas.getBoundingClientRect();
+      const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+      const y = (event.clientY - rect.top) * (canvas.height / rect.height);
+      return { x: x / this.scale, y: y / this.scale };
+    };
+
+    canvas.addEventListener('pointerdown', event => {
+      if (!this.photo) return;
+      const point = toPhoto(event);
+      const radius = HANDLE_RADIUS / this.scale;
+      this.dragging = this.corners.findIndex(p => Math.hypot(p.x - point.x, p.y - point.y) <= radius);
+      if (this.dragging >= 0) {
+        canvas.setPointerCapture(event.pointerId);
+      }
+    });
+
+    canvas.addEventListener('pointermove', event => {
+      if (this.dragging < 0) return;
+      const point = toPhoto(event);
+      this.corners[this.dragging] = {
+        x: Math.min(this.photo.width, Math.max(0, point.x)),
+        y: Math.min(this.photo.height, Math.max(0, point.y))
+      };
+      this._drawPreview(canvas);
+    });
+
+    const release = () => {
+      if (this.dragging < 0) return;
+      this.dragging = -1;
+      onRelease();
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+  }
+
+  /**
+   * Draw the photo with the crop outline and corner handles.
+   */
+  _drawPreview(canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!this.photo) return;
+
+    ctx.drawImage(this.photo, 0, 0, this.photo.width * this.scale, this.photo.height * this.scale);
+
+    const points = this.corners.map(p => ({ x: p.x * this.scale, y: p.y * this.scale }));
+    ctx.strokeStyle = '#ff3b30';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.fillStyle = '#fff';
+    for (const p of points) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Small preview of the straightened crop.
+   */
+  _drawResult(canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!this.photo) return;
+
+    const cropped = warpPerspective(this.pixels, this.corners, canvas.width);
+    const x = (canvas.width - cropped.width) / 2;
+    const y = (canvas.height - cropped.height) / 2;
+    ctx.drawImage(cropped, x, y);
+  }
+
+  /**
+   * Remove the dialog if it is open.
+   */
+  close() {
+    if (!this.element) return;
+
+    this.element.remove();
+    this.element = null;
+    this.photo = null;
+    this.pixels = null;
+    this.dragging = -1;
+    document.removeEventListener('keydown', this._onKeyDown);
+  }
+}
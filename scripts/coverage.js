@@ -0,0 +1,187 @@
+// coverage.js
+// How complete the letter collection is: variant counts per city, character
+// and style/case, the gaps in it, and a shopping list of photos still to take
+
+import { AssetService } from './assetService.js';
+import styleRegistry from './styleRegistry.js';
+import config from './config.js';
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const DIGITS = '0123456789'.split('');
+const CASES = ['upper', 'lower'];
+
+/**
+ * Count the variants of every character in every city.
+ * @param {AssetService} assets - Service with its index loaded
+ * @returns {Object|null} null when no manifest or index is loaded (probing
+ *   can't enumerate variants). Otherwise:
+ *   { target, columns: [{ style, caseType, label }],
+ *     cities: { [city]: { letters: { A: number[] (per column) }, digits: { 0: n }, symbols: { '!': n } } } }
+ */
+export function buildCoverage(assets) {
+  if (!assets.manifest) return null;
+
+  const columns = [];
+  for (const style of styleRegistry.getStyles()) {
+    for (const caseType of CASES) {
+      columns.push({ style: style.value, caseType, label: `${style.label} ${caseType}` });
+    }
+  }
+
+  const count = (character, style, city) => (assets.getManifestVariants(character, style, city) || []).length;
+  const cities = {};
+  for (const city of assets.getCities()) {
+    const letters = {};
+    for (const letter of LETTERS) {
+      letters[letter] = columns.map(column =>
+        count(column.caseType === 'upper' ? letter : letter.toLowerCase(), column.style, city));
+    }
+
+    const digits = {};
+    DIGITS.forEach(digit => { digits[digit] = count(digit, config.defaults.fontStyle, city); });
+
+    // One entry per folder: curly quotes share the straight quotes' folder
+    const symbols = {};
+    const folders = new Set();
+    Object.entries(AssetService.symbolFolderMap).forEach(([symbol, folder]) => {
+      if (folders.has(folder)) return;
+      folders.add(folder);
+      symbols[symbol] = count(symbol, config.defaults.fontStyle, city);
+    });
+
+    cities[city] = { letters, digits, symbols };
+  }
+
+  return { target: config.coverage.targetVariants, columns, cities };
+}
+
+/**
+ * Describe the holes in one city's collection, most serious first.
+ * @param {Object} coverage - From buildCoverage
+ * @param {string} city
+ * @returns {string[]} e.g. 'No uppercase "L" in any style', 'No numbers at all'
+ */
+export function findGaps(coverage, city) {
+  const { letters, digits, symbols } = coverage.cities[city];
+  const gaps = [];
+
+  for (const caseType of CASES) {
+    const indices = coverage.columns
+      .map((column, i) => (column.caseType === caseType ? i : -1))
+      .filter(i => i >= 0);
+    const missing = LETTERS.filter(letter => indices.every(i => letters[letter][i] === 0));
+    if (missing.length === LETTERS.length) {
+      gaps.push(`No ${caseType}case letters at all`);
+    } else if (missing.length > 0) {
+      const shown = caseType === 'upper' ? missing : missing.map(letter => letter.toLowerCase());
+      gaps.push(`No ${caseType}case ${shown.map(c => `"${c}"`).join(', ')} in any style`);
+    }
+  }
+
+  coverage.columns.forEach((column, i) => {
+    const missing = LETTERS.filter(letter => letters[letter][i] === 0);
+    if (missing.length === LETTERS.length) {
+      gaps.push(`${column.label}: empty`);
+    }
+  });
+
+  const missingDigits = DIGITS.filter(digit => digits[digit] === 0);
+  if (missingDigits.length === DIGITS.length) {
+    gaps.push('No numbers at all (Numbers/ is empty)');
+  } else if (missingDigits.length > 0) {
+    gaps.push(`Numbers missing: ${missingDigits.join(' ')}`);
+  }
+
+  const missingSymbols = Object.keys(symbols).filter(symbol => symbols[symbol] === 0);
+  if (missingSymbols.length === Object.keys(symbols).length) {
+    gaps.push('No symbols at all (Symbols/ is empty)');
+  } else if (missingSymbols.length > 0) {
+    gaps.push(`Symbols missing: ${missingSymbols.join(' ')}`);
+  }
+
+  return gaps;
+}
+
+/**
+ * Everything below the target variant count, per city: missing first, then thin.
+ * @param {Object} coverage - From buildCoverage
+ * @returns {Object[]} { city, character, style, caseType, folder, have, need }
+ */
+export function buildShoppingList(coverage) {
+  const items = [];
+  const add = (city, character, style, caseType, folder, have) => {
+    if (have < coverage.target) {
+      items.push({ city, character, style, caseType, folder, have, need: coverage.target - have });
+    }
+  };
+
+  for (const [city, { letters, digits, symbols }] of Object.entries(coverage.cities)) {
+    for (const letter of LETTERS) {
+      coverage.columns.forEach((column, i) => {
+        const [folder] = styleRegistry.getFolderCandidates(column.style, column.caseType);
+        const character = column.caseType === 'upper' ? letter : letter.toLowerCase();
+        add(city, character, column.style, column.caseType, `${letter}/${folder}`, letters[letter][i]);
+      });
+    }
+    DIGITS.forEach(digit => add(city, digit, null, null, `Numbers/${digit}`, digits[digit]));
+    Object.entries(symbols).forEach(([symbol, have]) =>
+      add(city, symbol, null, null, `Symbols/${AssetService.symbolFolderMap[symbol]}`, have));
+  }
+
+  return items.sort((a, b) => a.city.localeCompare(b.city) || a.have - b.have);
+}
+
+/**
+ * The shopping list as plain text, grouped by city, missing photos first.
+ * @param {Object[]} items - From buildShoppingList
+ * @param {number} target - Variants wanted per character
+ * @returns {string}
+ */
+export function formatShoppingList(items, target) {
+  const lines = ['StreetType shopping list', `Goal: ${target} photos of every character`, ''];
+  const cities = [...new Set(items.map(item => item.city))];
+
+  for (const city of cities) {
+    const cityItems = items.filter(item => item.city === city);
+    const missing = cityItems.filter(item => item.have === 0);
+    const thin = cityItems.filter(item => item.have > 0);
+
+    lines.push(`${config.cityLabels[city] || city} (${cityItems.reduce((sum, item) => sum + item.need, 0)} photos to take)`);
+    if (missing.length > 0) {
+      lines.push('  Not photographed yet:');
+      missing.forEach(item => lines.push(`    ${item.character.padEnd(2)} ${item.folder}  ×${item.need}`));
+    }
+    if (thin.length > 0) {
+      lines.push('  Need more variants:');
+      thin.forEach(item => lines.push(`    ${item.character.padEnd(2)} ${item.folder}  have ${item.have}, take ${item.need} more`));
+    }
+    lines.push('');
+  }
+
+  if (cities.length === 0) {
+    lines.push('Every character has enough photos.');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * The full grid as CSV: one row per city and character, one column per style/case.
+ * @param {Object} coverage - From buildCoverage
+ * @returns {string}
+ */
+export function formatCoverageCsv(coverage) {
+  const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+  const rows = [['city', 'character', ...coverage.columns.map(column => column.label)]];
+
+  for (const [city, { letters, digits, symbols }] of Object.entries(coverage.cities)) {
+    for (const letter of LETTERS) {
+      rows.push([city, letter, ...letters[letter]]);
+    }
+    // Digits and symbols have no style or case; their count fills the first column
+    for (const [character, count] of [...Object.entries(digits), ...Object.entries(symbols)]) {
+      rows.push([city, character, count]);
+    }
+  }
+
+  return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,153 @@
+// coverageReport.js
+// Dashboard showing, per city, how many photos exist for every character and
+// style/case, with the gaps and a downloadable shopping list
+
+import { findGaps } from './coverage.js';
+import config from './config.js';
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+export default class CoverageReport {
+  constructor() {
+    this.element = null;
+
+    this._onKeyDown = event => {
+      if (event.key === 'Escape') {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Show the dashboard.
+   * @param {Object} options
+   * @param {Object|null} options.coverage - From buildCoverage; null without an index
+   * @param {string} [options.city] - City to show first
+   * @param {string} [options.summary] - One line about the asset sources in use
+   * @param {Function} options.onDownloadList - Download the shopping list
+   * @param {Function} options.onDownloadCsv - Download the full grid
+   */
+  open({ coverage, city, summary = '', onDownloadList, onDownloadCsv }) {
+    this.close();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    overlay.innerHTML = `
+      <div class="coverage-report" role="dialog" aria-label="Coverage report">
+        <div class="variant-picker-header">
+          <span>Coverage report</span>
+          <button type="button" class="variant-picker-close" title="Close">×</button>
+        </div>
+        <div class="coverage-body"></div>
+      </div>
+    `;
+    const body = overlay.querySelector('.coverage-body');
+
+    if (!coverage) {
+      body.innerHTML = `
+        <p>Coverage needs an asset index. Generate the manifest with
+        <code>node tools/buildManifest.mjs</code>, or add a folder or pack in the PHOTOS panel.</p>
+      `;
+    } else {
+      const cities = Object.keys(coverage.cities);
+      body.innerHTML = `
+        <div class="coverage-toolbar">
+          <label>City <select name="city"></select></label>
+          <span class="coverage-legend">
+            <span class="coverage-cell missing">0</span> missing
+            <span class="coverage-cell thin">1</span> fewer than ${coverage.target}
+            <span class="coverage-cell full">${coverage.target}</span> enough
+          </span>
+        </div>
+        <ul class="coverage-gaps"></ul>
+        <div class="coverage-grid"></div>
+        <div class="source-buttons">
+          <button type="button" data-action="list">Download Shopping List</button>
+          <button type="button" data-action="csv">Download Grid (CSV)</button>
+        </div>
+      `;
+
+      const citySelect = body.querySelector('[name="city"]');
+      cities.forEach(c => citySelect.add(new Option(config.cityLabels[c] || c, c)));
+      citySelect.value = cities.includes(city) ? city : cities[0];
+      citySelect.addEventListener('change', () => this._renderCity(body, coverage, citySelect.value));
+      this._renderCity(body, coverage, citySelect.value);
+
+      body.querySelector('[data-action="list"]').addEventListener('click', onDownloadList);
+      body.querySelector('[data-action="csv"]').addEventListener('click', onDownloadCsv);
+    }
+
+    if (summary) {
+      body.insertAdjacentHTML('beforeend', '<p class="source-hint"></p>');
+      body.lastElementChild.textContent = summary;
+    }
+
+    overlay.addEventListener('mousedown', event => {
+      if (event.target === overlay) this.close();
+    });
+    overlay.querySelector('.variant-picker-close').addEventListener('click', () => this.close());
+
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', this._onKeyDown);
+    this.element = overlay;
+  }
+
+  /**
+   * Fill in the gaps list and the grid for one city.
+   */
+  _renderCity(body, coverage, city) {
+    const { letters, digits, symbols } = coverage.cities[city];
+
+    const gapsEl = body.querySelector('.coverage-gaps');
+    gapsEl.innerHTML = '';
+    const gaps = findGaps(coverage, city);
+    if (gaps.length === 0) {
+      gaps.push('Every character has at least one photo.');
+    }
+    for (const gap of gaps) {
+      const item = document.createElement('li');
+      item.textContent = gap;
+      gapsEl.appendChild(item);
+    }
+
+    const cell = count => {
+      const level = count === 0 ? 'missing' : count < coverage.target ? 'thin' : 'full';
+      return `<td class="coverage-cell ${level}">${count}</td>`;
+    };
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const head = coverage.columns.map(column => `<th>${escape(column.label)}</th>`).join('');
+    const rows = LETTERS.map(letter =>
+      `<tr><th>${letter}</th>${letters[letter].map(cell).join('')}</tr>`).join('');
+
+    // Digits and symbols have no styles: one compact row each
+    const flatRow = (title, counts) => `
+      <h4>${title}</h4>
+      <table class="coverage-table coverage-flat"><tr>
+        ${Object.keys(counts).map(c => `<th>${escape(c)}</th>`).join('')}
+      </tr><tr>
+        ${Object.values(counts).map(cell).join('')}
+      </tr></table>
+    `;
+
+    body.querySelector('.coverage-grid').innerHTML = `
+      <table class="coverage-table">
+        <tr><th></th>${head}</tr>
+        ${rows}
+      </table>
+      ${flatRow('Numbers', digits)}
+      ${flatRow('Symbols', symbols)}
+    `;
+  }
+
+  /**
+   * Remove the dashboard if it is open.
+   */
+  close() {
+    if (!this.element) return;
+
+    this.element.remove();
+    this.element = null;
+    document.removeEventListener('keydown', this._onKeyDown);
+  }
+}
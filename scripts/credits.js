@@ -0,0 +1,125 @@
+// credits.js
+// Photo provenance: normalizes per-photo metadata and builds the credits list
+// that goes out with poster exports
+
+/**
+ * Fields a photo's metadata may carry:
+ *   photographer - who took the photo
+ *   date         - capture date, ideally ISO 8601 ("2024-05-18")
+ *   address      - street address of the sign
+ *   lat, lng     - GPS coordinates in decimal degrees
+ *   license      - e.g. "CC BY 4.0"
+ */
+export const CREDIT_FIELDS = ['photographer', 'date', 'address', 'lat', 'lng', 'license'];
+
+// Other names the same fields turn up under in sidecars
+const FIELD_ALIASES = {
+  author: 'photographer',
+  credit: 'photographer',
+  capturedAt: 'date',
+  dateTaken: 'date',
+  latitude: 'lat',
+  longitude: 'lng',
+  lon: 'lng',
+  street: 'address'
+};
+
+/**
+ * Pick the credit fields out of raw sidecar or manifest metadata.
+ * Coordinates may also be given as { gps: { lat, lng } }.
+ * @param {Object} raw
+ * @returns {Object|null} Known fields only, or null when none are set
+ */
+export function normalizeMetadata(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const source = { ...raw, ...(raw.gps && typeof raw.gps === 'object' ? raw.gps : {}) };
+  const metadata = {};
+  for (const [key, value] of Object.entries(source)) {
+    const field = FIELD_ALIASES[key] || key;
+    if (!CREDIT_FIELDS.includes(field) || value === null || value === undefined || value === '') continue;
+
+    if (field === 'lat' || field === 'lng') {
+      const number = Number(value);
+      if (Number.isFinite(number)) metadata[field] = number;
+    } else {
+      metadata[field] = String(value).trim();
+    }
+  }
+
+  // Half a coordinate pair is no use on a map
+  if (!('lat' in metadata && 'lng' in metadata)) {
+    delete metadata.lat;
+    delete metadata.lng;
+  }
+  return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+/**
+ * "40.75804, -73.98554", or '' without coordinates.
+ */
+export function formatCoordinates(metadata) {
+  if (!metadata || !('lat' in metadata)) return '';
+  return `${metadata.lat.toFixed(5)}, ${metadata.lng.toFixed(5)}`;
+}
+
+/**
+ * Collect the photos used in a composition, one entry per photo.
+ * @param {Object[]} letters - Letter objects ({ type, value, path, city, isFallback })
+ * @param {Function} getMetadata - Asset path → normalized metadata or null
+ * @returns {Object} { photos: [{ path, characters, positions, city, ...metadata }],
+ *   photographers: string[], uncredited: number }
+ */
+export function buildCredits(letters, getMetadata) {
+  const byPath = new Map();
+  letters.forEach((letter, position) => {
+    if (letter.type !== 'letter' || letter.isFallback || !letter.path) return;
+
+    let photo = byPath.get(letter.path);
+    if (!photo) {
+      photo = { path: letter.path, characters: letter.value, positions: [], city: letter.city || null };
+      Object.assign(photo, getMetadata(letter.path));
+      byPath.set(letter.path, photo);
+    }
+    photo.positions.push(position);
+  });
+
+  const photos = [...byPath.values()];
+  const photographers = [...new Set(photos.map(photo => photo.photographer).filter(Boolean))].sort();
+  const uncredited = photos.filter(photo => !photo.photographer).length;
+  return { photos, photographers, uncredited };
+}
+
+/**
+ * Plain-text credits, one line per photo.
+ * @param {Object} credits - From buildCredits
+ * @param {Object} [details] - Header lines, e.g. { Text, Seed, Format }
+ * @returns {string}
+ */
+export function formatCreditsText(credits, details = {}) {
+  const lines = ['StreetType photo credits', ''];
+  for (const [label, value] of Object.entries(details)) {
+    if (value) lines.push(`${label}: ${value}`);
+  }
+  if (credits.photographers.length > 0) {
+    lines.push(`Photographers: ${credits.photographers.join(', ')}`);
+  }
+  lines.push('');
+
+  for (const photo of credits.photos) {
+    const place = [photo.address, formatCoordinates(photo) && `(${formatCoordinates(photo)})`]
+      .filter(Boolean).join(' ');
+    const parts = [
+      photo.photographer || 'Unknown photographer',
+      photo.date,
+      place,
+      photo.license
+    ].filter(Boolean);
+    lines.push(`${photo.characters}  ${photo.city || ''}  ${parts.join(' · ')}`.replace(/ {3,}/g, '  '));
+  }
+
+  if (credits.uncredited > 0) {
+    lines.push('', `${credits.uncredited} photo(s) have no photographer recorded.`);
+  }
+  return lines.join('\n') + '\n';
+}
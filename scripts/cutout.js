@@ -0,0 +1,170 @@
+// cutout.js
+// Removes the wall/sign/sky around a photographed letter, leaving a transparent background
+
+/**
+ * Cutout methods:
+ *   colorKey  - clear every pixel close to the background color
+ *   threshold - keep pixels darker (or lighter) than the background by a luminance cut
+ *   floodFill - clear background-colored regions connected to the photo's border,
+ *               so letter pixels that happen to match the wall survive
+ */
+export const CUTOUT_METHODS = ['floodFill', 'colorKey', 'threshold'];
+
+export const DEFAULT_CUTOUT_OPTIONS = {
+  method: 'floodFill',
+  tolerance: 25,   // Color distance (percent) still counted as background
+  softness: 10     // Width (percent) of the fade between background and letter
+};
+
+const MAX_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+/**
+ * Average color of the photo's outer border, taken as the background color.
+ * @returns {number[]} [r, g, b]
+ */
+function sampleBorderColor(data, width, height) {
+  const ring = Math.max(1, Math.round(Math.min(width, height) * 0.02));
+  const sum = [0, 0, 0];
+  let count = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x >= ring && x < width - ring && y >= ring && y < height - ring) {
+        // Skip the interior of the row
+        x = width - ring - 1;
+        continue;
+      }
+      const i = (y * width + x) * 4;
+      sum[0] += data[i];
+      sum[1] += data[i + 1];
+      sum[2] += data[i + 2];
+      count++;
+    }
+  }
+
+  return sum.map(value => value / count);
+}
+
+function luminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Alpha for a distance from the background: 0 inside the tolerance, fading
+ * to 255 across the softness band.
+ */
+function alphaForDistance(distance, tolerance, softness) {
+  if (distance <= tolerance) return 0;
+  if (softness <= 0 || distance >= tolerance + softness) return 255;
+  return Math.round(255 * (distance - tolerance) / softness);
+}
+
+function colorKey(data, key, tolerance, softness) {
+  for (let i = 0; i < data.length; i += 4) {
+    const distance = Math.hypot(data[i] - key[0], data[i + 1] - key[1], data[i + 2] - key[2]) / MAX_DISTANCE;
+    data[i + 3] = Math.min(data[i + 3], alphaForDistance(distance, tolerance, softness));
+  }
+}
+
+function threshold(data, key, tolerance, softness) {
+  // Letters are assumed to contrast with the wall: keep whichever side the background isn't on
+  const background = luminance(key[0], key[1], key[2]) / 255;
+  const keepDark = background >= 0.5;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const value = luminance(data[i], data[i + 1], data[i + 2]) / 255;
+    const distance = keepDark ? background - value : value - background;
+    data[i + 3] = Math.min(data[i + 3], alphaForDistance(distance, tolerance, softness));
+  }
+}
+
+function floodFill(data, width, height, key, tolerance, softness) {
+  const distances = new Float32Array(width * height);
+  for (let p = 0; p < distances.length; p++) {
+    const i = p * 4;
+    distances[p] = Math.hypot(data[i] - key[0], data[i + 1] - key[1], data[i + 2] - key[2]) / MAX_DISTANCE;
+  }
+
+  // Grow from every border pixel through pixels within the softness band
+  const limit = tolerance + softness;
+  const visited = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  const visit = p => {
+    if (visited[p] || distances[p] > limit) return;
+    visited[p] = 1;
+    queue[tail++] = p;
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % width;
+    data[p * 4 + 3] = Math.min(data[p * 4 + 3], alphaForDistance(distances[p], tolerance, softness));
+    // Only spread from pixels that are fully background
+    if (distances[p] > tolerance) continue;
+    if (x > 0) visit(p - 1);
+    if (x < width - 1) visit(p + 1);
+    if (p >= width) visit(p - width);
+    if (p < width * (height - 1)) visit(p + width);
+  }
+}
+
+/**
+ * Produce a transparent-background copy of a photo.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Loaded image
+ * @param {Object} [options] - Overrides for DEFAULT_CUTOUT_OPTIONS; `keyColor`
+ *   ([r, g, b]) replaces the sampled border color
+ * @returns {HTMLCanvasElement} Canvas with the background made transparent
+ */
+export function createCutout(source, options = {}) {
+  const settings = { ...DEFAULT_CUTOUT_OPTIONS, ...options };
+  if (!CUTOUT_METHODS.includes(settings.method)) {
+    throw new Error(`Unknown cutout method: ${settings.method}`);
+  }
+
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const data = imageData.data;
+
+  const key = settings.keyColor || sampleBorderColor(data, width, height);
+  const tolerance = settings.tolerance / 100;
+  const softness = settings.softness / 100;
+
+  if (settings.method === 'colorKey') {
+    colorKey(data, key, tolerance, softness);
+  } else if (settings.method === 'threshold') {
+    threshold(data, key, tolerance, softness);
+  } else {
+    floodFill(data, width, height, key, tolerance, softness);
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Stable cache key for a set of cutout options.
+ */
+export function cutoutKey(options = {}) {
+  const settings = { ...DEFAULT_CUTOUT_OPTIONS, ...options };
+  const key = settings.keyColor ? settings.keyColor.map(Math.round).join(',') : 'auto';
+  return `${settings.method}:${settings.tolerance}:${settings.softness}:${key}`;
+}
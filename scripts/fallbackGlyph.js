@@ -0,0 +1,193 @@
+// fallbackGlyph.js
+// Stand-in glyphs for characters without photos, drawn to look like a
+// photographed sign: a grainy, weathered plate with a painted letter
+
+import { createRandom, getSystemFontFallbacks } from './utils.js';
+
+// Coarse grid of the weathering blotches, in cells across the short side
+const GRIME_CELLS = 6;
+
+function luminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function toCss([r, g, b]) {
+  return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+}
+
+function parseCss(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(color);
+  return rgb ? rgb.slice(1, 4).map(Number) : [128, 128, 128];
+}
+
+/**
+ * The sign colors of a letter photo: the pixels are split at their mean
+ * luminance into a darker and a lighter color; the one along the photo's
+ * border is taken as the plate, the other as the paint.
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @returns {{bg: string, fill: string}|null} CSS colors, or null if unreadable
+ */
+export function samplePalette(source) {
+  const size = 24;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+
+  let data;
+  try {
+    ctx.drawImage(source, 0, 0, size, size);
+    data = ctx.getImageData(0, 0, size, size).data;
+  } catch (error) {
+    // Tainted or not yet decoded
+    return null;
+  }
+
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue; // Cut-away background
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  if (pixels.length < 2) return null;
+
+  const mean = pixels.reduce((sum, pixel) => sum + luminance(...pixel), 0) / pixels.length;
+  const groups = [[], []]; // Darker, lighter
+  pixels.forEach(pixel => groups[luminance(...pixel) <= mean ? 0 : 1].push(pixel));
+  if (groups[1].length === 0) return null; // One flat color
+
+  const average = group => [0, 1, 2].map(c => group.reduce((sum, pixel) => sum + pixel[c], 0) / group.length);
+  const [dark, light] = groups.map(average);
+
+  // Photos are framed on the letter, so the plate usually dominates the border
+  const border = [];
+  for (let i = 0; i < size; i++) {
+    border.push(i * 4, ((size - 1) * size + i) * 4, (i * size) * 4, (i * size + size - 1) * 4);
+  }
+  const borderLevel = border.reduce((sum, i) => sum + luminance(data[i], data[i + 1], data[i + 2]), 0) / border.length;
+  const plateIsDark = borderLevel <= mean;
+
+  return {
+    bg: toCss(plateIsDark ? dark : light),
+    fill: toCss(plateIsDark ? light : dark)
+  };
+}
+
+/**
+ * Draw a stand-in glyph at an exact pixel size.
+ * @param {string} char - Character (or ligature) to paint
+ * @param {Object} options
+ * @param {number} options.width - Pixel width
+ * @param {number} options.height - Pixel height
+ * @param {string} [options.style] - Style key, picks the typeface
+ * @param {{bg: string, fill: string}} options.colors - Plate and paint colors (CSS)
+ * @param {number} [options.texture=0.5] - Grain and grime, 0 … 1
+ * @param {number} [options.distress=0] - Chipped and scratched paint, 0 … 1
+ * @param {string|number} [options.seed] - Same seed, same grain and chips
+ * @returns {HTMLCanvasElement}
+ */
+export function createFallbackGlyph(char, { width, height, style = 'default', colors, texture = 0.5, distress = 0, seed = char }) {
+  const w = Math.max(1, Math.round(width));
+  const h = Math.max(1, Math.round(height));
+  // Grain is per pixel; grime and chips come from their own stream so they
+  // land in the same places at screen and print size
+  const grain = createRandom(`${seed}:grain`);
+  const random = createRandom(`${seed}:wear`);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+
+  // Plate: base color with grain, blotchy grime and a darker bottom edge
+  const bg = parseCss(colors.bg);
+  const cell = Math.max(1, Math.min(w, h) / GRIME_CELLS);
+  const gridW = Math.ceil(w / cell) + 1;
+  const gridH = Math.ceil(h / cell) + 1;
+  const grime = Array.from({ length: gridW * gridH }, () => random() * 2 - 1);
+
+  const image = ctx.createImageData(w, h);
+  const pixels = image.data;
+  for (let y = 0; y < h; y++) {
+    const gy = y / cell;
+    const y0 = Math.floor(gy);
+    const fy = gy - y0;
+    for (let x = 0; x < w; x++) {
+      const gx = x / cell;
+      const x0 = Math.floor(gx);
+      const fx = gx - x0;
+      const at = (cx, cy) => grime[cy * gridW + cx];
+      const blotch =
+        at(x0, y0) * (1 - fx) * (1 - fy) + at(x0 + 1, y0) * fx * (1 - fy) +
+        at(x0, y0 + 1) * (1 - fx) * fy + at(x0 + 1, y0 + 1) * fx * fy;
+      const shade = texture * (blotch * 22 + (grain() * 2 - 1) * 26 - (y / h) * 18);
+
+      const i = (y * w + x) * 4;
+      pixels[i] = bg[0] + shade;
+      pixels[i + 1] = bg[1] + shade;
+      pixels[i + 2] = bg[2] + shade;
+      pixels[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+
+  // A faint inset edge, like the rim of a sign plate
+  const rim = Math.max(1, Math.min(w, h) * 0.025);
+  ctx.save();
+  ctx.globalAlpha = 0.35;
+  ctx.strokeStyle = colors.fill;
+  ctx.lineWidth = rim;
+  ctx.strokeRect(rim * 2.5, rim * 2.5, w - rim * 5, h - rim * 5);
+  ctx.restore();
+
+  // Paint the letter on its own layer so distress only chips the paint
+  const paint = document.createElement('canvas');
+  paint.width = w;
+  paint.height = h;
+  const pctx = paint.getContext('2d');
+  const family = getSystemFontFallbacks(style);
+  pctx.font = `bold 100px ${family}`;
+  const probe = pctx.measureText(char);
+  const inkWidth = Math.max(1, probe.actualBoundingBoxLeft + probe.actualBoundingBoxRight);
+  const inkHeight = Math.max(1, probe.actualBoundingBoxAscent + probe.actualBoundingBoxDescent);
+  const size = 100 * Math.min((w * 0.78) / inkWidth, (h * 0.7) / inkHeight);
+  pctx.font = `bold ${size}px ${family}`;
+  const metrics = pctx.measureText(char);
+  pctx.fillStyle = colors.fill;
+  pctx.textAlign = 'center';
+  pctx.textBaseline = 'alphabetic';
+  pctx.fillText(char, w / 2, h / 2 + (metrics.actualBoundingBoxAscent - metrics.actualBoundingBoxDescent) / 2);
+
+  if (distress > 0) {
+    pctx.globalCompositeOperation = 'destination-out';
+    const unit = Math.min(w, h);
+    const chips = Math.round(distress * 90);
+    for (let i = 0; i < chips; i++) {
+      pctx.globalAlpha = 0.4 + random() * 0.6;
+      pctx.beginPath();
+      pctx.arc(random() * w, random() * h, unit * (0.005 + random() * 0.03 * distress), 0, Math.PI * 2);
+      pctx.fill();
+    }
+    const scratches = Math.round(distress * 6);
+    pctx.lineCap = 'round';
+    for (let i = 0; i < scratches; i++) {
+      const x = random() * w;
+      const y = random() * h;
+      const angle = random() * Math.PI;
+      const length = unit * (0.15 + random() * 0.4);
+      pctx.globalAlpha = 0.5 + random() * 0.5;
+      pctx.lineWidth = Math.max(1, unit * 0.008);
+      pctx.beginPath();
+      pctx.moveTo(x, y);
+      pctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+      pctx.stroke();
+    }
+  }
+
+  ctx.drawImage(paint, 0, 0);
+  return canvas;
+}
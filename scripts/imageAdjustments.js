@@ -0,0 +1,179 @@
+// imageAdjustments.js
+// Color and tone corrections that make photos from different signs sit together
+
+/**
+ * Neutral settings: applying these leaves a photo unchanged.
+ *   autoLevels - stretch each color channel to its full range (also removes casts)
+ *   contrast   - -100 … 100
+ *   saturation - -100 (gray) … 100
+ *   colorMode  - 'color' | 'grayscale' | 'duotone'
+ *   duotone    - { shadow, highlight } hex colors used by duotone mode
+ *   tint       - hex color to pull the photo toward, or null
+ *   tintAmount - 0 … 100
+ */
+export const NEUTRAL_ADJUSTMENTS = {
+  autoLevels: false,
+  contrast: 0,
+  saturation: 0,
+  colorMode: 'color',
+  duotone: { shadow: '#1e1e28', highlight: '#f2ead8' },
+  tint: null,
+  tintAmount: 0
+};
+
+// Share of darkest/brightest pixels ignored when finding the levels range
+const LEVELS_CLIP = 0.005;
+
+function parseHex(hex) {
+  let value = hex.replace('#', '');
+  if (value.length === 3) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
+
+function luminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Merge adjustment layers (composition first, then letter) over the neutral settings.
+ * @param {...Object} layers
+ * @returns {Object}
+ */
+export function mergeAdjustments(...layers) {
+  const merged = { ...NEUTRAL_ADJUSTMENTS };
+  for (const layer of layers) {
+    if (layer) Object.assign(merged, layer);
+  }
+  return merged;
+}
+
+/**
+ * Whether settings would leave a photo unchanged.
+ */
+export function isNeutral(adjustments) {
+  const a = mergeAdjustments(adjustments);
+  return !a.autoLevels && a.contrast === 0 && a.saturation === 0 &&
+    a.colorMode === 'color' && !(a.tint && a.tintAmount > 0);
+}
+
+/**
+ * Stable cache key for a set of adjustments.
+ */
+export function adjustmentsKey(adjustments) {
+  const a = mergeAdjustments(adjustments);
+  const duotone = a.colorMode === 'duotone' ? `${a.duotone.shadow}/${a.duotone.highlight}` : '';
+  const tint = a.tint && a.tintAmount > 0 ? `${a.tint}@${a.tintAmount}` : '';
+  return [a.autoLevels ? 'L' : '', a.contrast, a.saturation, a.colorMode, duotone, tint].join('|');
+}
+
+/**
+ * Per-channel lookup tables stretching each channel between its clipped
+ * darkest and brightest values.
+ */
+function levelsTables(data) {
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue; // Ignore cut-out background
+    histograms[0][data[i]]++;
+    histograms[1][data[i + 1]]++;
+    histograms[2][data[i + 2]]++;
+    count++;
+  }
+
+  const clip = count * LEVELS_CLIP;
+  return histograms.map(histogram => {
+    let low = 0;
+    let high = 255;
+    for (let sum = 0; low < 255 && sum + histogram[low] <= clip; low++) sum += histogram[low];
+    for (let sum = 0; high > 0 && sum + histogram[high] <= clip; high--) sum += histogram[high];
+
+    const table = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) {
+      table[v] = high > low ? ((v - low) * 255) / (high - low) : v;
+    }
+    return table;
+  });
+}
+
+/**
+ * Apply adjustments to a photo.
+ * Order: auto-levels, contrast, saturation, color mode, tint.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Loaded image
+ * @param {Object} adjustments - Partial settings over NEUTRAL_ADJUSTMENTS
+ * @returns {HTMLCanvasElement} Adjusted copy
+ */
+export function applyAdjustments(source, adjustments) {
+  const a = mergeAdjustments(adjustments);
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const data = imageData.data;
+
+  const levels = a.autoLevels ? levelsTables(data) : null;
+  const contrast = a.contrast * 2.55;
+  const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+  const saturation = 1 + a.saturation / 100;
+  const shadow = parseHex(a.duotone.shadow);
+  const highlight = parseHex(a.duotone.highlight);
+  const tint = a.tint && a.tintAmount > 0 ? parseHex(a.tint) : null;
+  const tintAmount = a.tintAmount / 100;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i];
+    let g = data[i + 1];
+    let b = data[i + 2];
+
+    if (levels) {
+      r = levels[0][r];
+      g = levels[1][g];
+      b = levels[2][b];
+    }
+
+    if (a.contrast !== 0) {
+      r = contrastFactor * (r - 128) + 128;
+      g = contrastFactor * (g - 128) + 128;
+      b = contrastFactor * (b - 128) + 128;
+    }
+
+    if (a.saturation !== 0) {
+      const gray = luminance(r, g, b);
+      r = gray + (r - gray) * saturation;
+      g = gray + (g - gray) * saturation;
+      b = gray + (b - gray) * saturation;
+    }
+
+    if (a.colorMode === 'grayscale') {
+      r = g = b = luminance(r, g, b);
+    } else if (a.colorMode === 'duotone') {
+      const t = Math.min(1, Math.max(0, luminance(r, g, b) / 255));
+      r = shadow[0] + (highlight[0] - shadow[0]) * t;
+      g = shadow[1] + (highlight[1] - shadow[1]) * t;
+      b = shadow[2] + (highlight[2] - shadow[2]) * t;
+    }
+
+    if (tint) {
+      // Pull toward the tint color at the pixel's own brightness
+      const t = luminance(r, g, b) / 255;
+      r += (tint[0] * t - r) * tintAmount;
+      g += (tint[1] * t - g) * tintAmount;
+      b += (tint[2] * t - b) * tintAmount;
+    }
+
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
@@ -0,0 +1,128 @@
+// imageCache.js
+// One memory-bounded cache for everything decoded from the asset tree: photos,
+// cutouts, composed accented letters, generated stand-ins and the renderer's
+// drawable and adjusted copies share a byte budget, and the least recently
+// used entries are dropped first
+
+import config from './config.js';
+
+/**
+ * Estimated memory held by a cached value: 4 bytes per pixel for images and
+ * canvases, 2 bytes per character for strings (e.g. SVG data URLs).
+ * @param {*} value
+ * @returns {number} Bytes
+ */
+export function estimateBytes(value) {
+  if (!value) return 0;
+  if (typeof value === 'string') return value.length * 2;
+  const width = value.naturalWidth || value.width || 0;
+  const height = value.naturalHeight || value.height || 0;
+  return width * height * 4;
+}
+
+/**
+ * Least-recently-used cache with a byte budget. Map iteration order doubles
+ * as the recency list: a hit moves its entry to the end, and eviction starts
+ * at the front.
+ */
+export class ImageCache {
+  /**
+   * @param {number} maxBytes - Budget; the newest entry is kept even if it alone exceeds it
+   */
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key → { value, bytes, dispose }, least recently used first
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {*} The cached value, or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} Whether the key is cached (doesn't count as a use)
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Cache a value, then evict until the budget holds.
+   * @param {string} key
+   * @param {*} value
+   * @param {Object} [options]
+   * @param {number} [options.bytes] - Size (default: estimateBytes(value))
+   * @param {Function} [options.dispose] - Called with the value when it leaves the cache
+   */
+  set(key, value, { bytes = estimateBytes(value), dispose = null } = {}) {
+    this.delete(key);
+    this.entries.set(key, { value, bytes, dispose });
+    this.bytes += bytes;
+    this._evict();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} Whether there was an entry
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    if (entry.dispose) entry.dispose(entry.value);
+    return true;
+  }
+
+  /**
+   * Drop every entry whose key passes a test.
+   * @param {Function} test - (key) → boolean
+   */
+  deleteMatching(test) {
+    for (const key of [...this.entries.keys()]) {
+      if (test(key)) this.delete(key);
+    }
+  }
+
+  /**
+   * Change the budget, evicting right away if it shrank.
+   * @param {number} maxBytes
+   */
+  setMaxBytes(maxBytes) {
+    this.maxBytes = maxBytes;
+    this._evict();
+  }
+
+  /**
+   * @returns {Object} { entries, bytes, maxBytes, hits, misses, evictions }
+   */
+  getStats() {
+    return { entries: this.entries.size, bytes: this.bytes, maxBytes: this.maxBytes, ...this.stats };
+  }
+
+  _evict() {
+    for (const key of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes || this.entries.size <= 1) break;
+      this.delete(key);
+      this.stats.evictions++;
+    }
+  }
+}
+
+// Export a singleton shared by the asset service, the letter generator and the renderer
+const imageCache = new ImageCache(config.cache.maxBytes);
+export default imageCache;
@@ -0,0 +1,340 @@
+// layoutEngine.js
+// Computes where each glyph of a composition goes inside the poster frame
+
+/**
+ * Lays out letter-objects inside a frame. In "fit" mode it searches for the
+ * largest glyph size at which the whole phrase fits the frame; in "fixed" mode
+ * it uses the base glyph size and lets overflowing lines be clipped.
+ *
+ * Lines wrap between words and always break at newline letters. A word longer
+ * than a line shrinks the whole text in fit mode, and is hyphenated in fixed mode.
+ *
+ * Spacing and line pitch scale with the glyph height, keeping the proportions
+ * of the base metrics (letterSpacing / letterHeight, lineHeight / letterHeight).
+ *
+ * With proportional widths, a letter carrying `metrics` ({ width, height } of its
+ * photo) advances by its own aspect ratio instead of the fixed cell width.
+ * Tracking and kerning are in thousandths of the glyph height, so they scale
+ * with the text like the other metrics.
+ */
+export default class LayoutEngine {
+  static defaults = {
+    mode: 'fit',            // 'fit' | 'fixed'
+    align: 'left',          // 'left' | 'center' | 'right' | 'justify'
+    verticalAlign: 'top',   // 'top' | 'center' | 'bottom'
+    letterWidth: 40,        // Base glyph cell
+    letterHeight: 60,
+    letterSpacing: 5,
+    lineHeight: 80,
+    minGlyphHeight: 4,      // Smallest size fit mode will shrink to
+    hyphenate: true,        // Split over-long words in fixed mode
+    proportional: true,     // Advance by each photo's aspect ratio
+    tracking: 0,            // Extra gap between all letters (1/1000 glyph height)
+    kerning: {}             // Pair overrides, e.g. { AV: -80 } (1/1000 glyph height)
+  };
+
+  // Keep extreme photo crops from producing slivers or banners
+  static minAspect = 0.2;
+  static maxAspect = 2.5;
+
+  /**
+   * @param {Object} [options] - Overrides for LayoutEngine.defaults
+   */
+  constructor(options = {}) {
+    this.options = { ...LayoutEngine.defaults, ...options };
+  }
+
+  /**
+   * Update layout options.
+   * @param {Object} options
+   */
+  setOptions(options) {
+    Object.assign(this.options, options);
+  }
+
+  /**
+   * Lay out letters inside a frame.
+   * @param {Object[]} letters - Letter-objects { type, value, … }
+   * @param {{x: number, y: number, width: number, height: number}} frame
+   * @returns {Object} { glyphs: [{ index, x, y, width, height, clipped, hyphen? }], lines, glyphHeight, overflow }
+   *   Glyphs cover every non-space letter; `index` points back into `letters`.
+   *   Hyphens inserted by the layout have `hyphen: true` and a null index.
+   */
+  layout(letters, frame) {
+    const empty = { glyphs: [], lines: [], glyphHeight: 0, overflow: false };
+    if (!letters || letters.length === 0 || frame.width <= 0 || frame.height <= 0) {
+      return empty;
+    }
+
+    const glyphHeight = this.options.mode === 'fit'
+      ? this._fitGlyphHeight(letters, frame)
+      : this.options.letterHeight;
+
+    const { lines, height } = this._layoutAtSize(letters, frame.width, glyphHeight);
+    const overflow = height > frame.height + 0.5;
+
+    // Vertical placement; overflowing text always starts at the top
+    let top = frame.y;
+    if (!overflow) {
+      if (this.options.verticalAlign === 'center') {
+        top += (frame.height - height) / 2;
+      } else if (this.options.verticalAlign === 'bottom') {
+        top += frame.height - height;
+      }
+    }
+
+    const pitch = this._linePitch(glyphHeight);
+    const glyphs = [];
+
+    lines.forEach((line, lineIndex) => {
+      const y = top + lineIndex * pitch;
+      // Paragraph ends are never justified
+      const isLastLine = lineIndex === lines.length - 1 || line.hardBreak;
+      const positions = this._alignLine(line, frame.width, isLastLine);
+
+      line.items.forEach((item, i) => {
+        if (item.isSpace) return;
+        const glyph = {
+          index: item.index,
+          x: frame.x + positions[i],
+          y,
+          width: item.width,
+          height: glyphHeight,
+          clipped: y + glyphHeight > frame.y + frame.height + 0.5
+        };
+        if (item.isHyphen) glyph.hyphen = true;
+        glyphs.push(glyph);
+      });
+    });
+
+    return { glyphs, lines, glyphHeight, overflow };
+  }
+
+  /**
+   * Distance between line tops for a glyph height.
+   */
+  _linePitch(glyphHeight) {
+    return glyphHeight * (this.options.lineHeight / this.options.letterHeight);
+  }
+
+  /**
+   * Gap between neighbouring glyphs for a glyph height, including tracking.
+   */
+  _spacing(glyphHeight) {
+    const base = glyphHeight * (this.options.letterSpacing / this.options.letterHeight);
+    return base + glyphHeight * (this.options.tracking || 0) / 1000;
+  }
+
+  /**
+   * Advance width of one letter at a glyph height.
+   */
+  _measure(letter, glyphHeight) {
+    const cellWidth = glyphHeight * (this.options.letterWidth / this.options.letterHeight);
+    const metrics = letter.metrics;
+    if (!this.options.proportional || !metrics || !(metrics.width > 0) || !(metrics.height > 0)) {
+      return cellWidth;
+    }
+
+    const aspect = Math.min(LayoutEngine.maxAspect,
+      Math.max(LayoutEngine.minAspect, metrics.width / metrics.height));
+    return glyphHeight * aspect;
+  }
+
+  /**
+   * Kerning adjustment between two neighbouring letters, in 1/1000 glyph height.
+   */
+  _kerning(previous, letter) {
+    if (!previous || !letter) return 0;
+    if (previous.type === 'space' || previous.type === 'newline') return 0;
+    if (letter.type === 'space' || letter.type === 'newline') return 0;
+    const pairs = this.options.kerning || {};
+    return pairs[previous.value + letter.value] || 0;
+  }
+
+  /**
+   * Break letters into lines at a glyph height.
+   * @returns {{lines: Object[], height: number, width: number}} Lines are
+   *   { items: [{ index, width, kern, isSpace }], width, hardBreak }; height/width of the whole block.
+   *   `kern` adjusts the gap before an item and applies only when it follows its preceding letter.
+   */
+  _layoutAtSize(letters, maxWidth, glyphHeight) {
+    const spacing = this._spacing(glyphHeight);
+    const items = letters.map((letter, index) => ({
+      index,
+      width: letter.type === 'newline' ? 0 : this._measure(letter, glyphHeight),
+      kern: glyphHeight * this._kerning(letters[index - 1], letter) / 1000,
+      isSpace: letter.type === 'space',
+      isNewline: letter.type === 'newline'
+    }));
+
+    // Only fixed-size text hyphenates; fit mode shrinks until the longest word fits
+    const hyphen = this.options.mode === 'fixed' && this.options.hyphenate
+      ? { index: null, width: this._measure({ type: 'special', value: '-' }, glyphHeight), kern: 0, isSpace: false, isHyphen: true }
+      : null;
+
+    const lines = this._breakLines(items, maxWidth, spacing, hyphen);
+    const height = lines.length > 0
+      ? (lines.length - 1) * this._linePitch(glyphHeight) + glyphHeight
+      : 0;
+    const width = lines.reduce((max, line) => Math.max(max, line.width), 0);
+
+    return { lines, height, width };
+  }
+
+  /**
+   * Split items into words, space runs and newlines.
+   * @returns {Object[]} Tokens { type: 'word'|'space'|'newline', items }
+   */
+  _tokenize(items) {
+    const tokens = [];
+    for (const item of items) {
+      const type = item.isNewline ? 'newline' : item.isSpace ? 'space' : 'word';
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === type && type !== 'newline') {
+        last.items.push(item);
+      } else {
+        tokens.push({ type, items: [item] });
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Greedy word wrapping: a word that would cross the right edge moves to the
+   * next line, and newlines always end the line. Spaces at the start of a
+   * wrapped line are dropped.
+   * @param {Object|null} hyphen - Hyphen item for splitting over-long words, or null
+   */
+  _breakLines(items, maxWidth, spacing, hyphen) {
+    const lines = [];
+    let current = [];
+    let wrapped = false; // current line continues a soft-wrapped one
+
+    const endLine = hardBreak => {
+      lines.push(this._finishLine(current, spacing, hardBreak));
+      current = [];
+      wrapped = !hardBreak;
+    };
+    const hasGlyphs = line => line.some(it => !it.isSpace);
+
+    for (const token of this._tokenize(items)) {
+      if (token.type === 'newline') {
+        endLine(true);
+        continue;
+      }
+
+      if (token.type === 'space') {
+        if (!(wrapped && current.length === 0)) {
+          current.push(...token.items);
+        }
+        continue;
+      }
+
+      let word = token.items;
+      if (hasGlyphs(current) && this._measureLine([...current, ...word], spacing) > maxWidth) {
+        endLine(false);
+      }
+
+      // A word wider than a whole line: split it with hyphens
+      while (hyphen && word.length > 1 && this._measureLine([...current, ...word], spacing) > maxWidth) {
+        let take = word.length - 1;
+        while (take > 1 && this._measureLine([...current, ...word.slice(0, take), hyphen], spacing) > maxWidth) {
+          take--;
+        }
+        current.push(...word.slice(0, take), hyphen);
+        word = word.slice(take);
+        endLine(false);
+      }
+
+      current.push(...word);
+    }
+
+    if (current.length > 0 || lines.length === 0 || lines[lines.length - 1].hardBreak) {
+      lines.push(this._finishLine(current, spacing, false));
+    }
+    return lines;
+  }
+
+  /**
+   * Width of a run of items, ignoring trailing spaces.
+   */
+  _measureLine(items, spacing) {
+    let end = items.length;
+    while (end > 0 && items[end - 1].isSpace) end--;
+
+    let width = 0;
+    for (let i = 0; i < end; i++) {
+      width += items[i].width + (i > 0 ? spacing + items[i].kern : 0);
+    }
+    return width;
+  }
+
+  _finishLine(items, spacing, hardBreak) {
+    return { items, spacing, hardBreak, width: this._measureLine(items, spacing) };
+  }
+
+  /**
+   * X offset of every item in a line for the current alignment.
+   * @returns {number[]} Offsets relative to the frame's left edge
+   */
+  _alignLine(line, frameWidth, isLastLine) {
+    const { items, spacing, width } = line;
+    const free = Math.max(0, frameWidth - width);
+    const align = this.options.align;
+
+    let start = 0;
+    let extraPerGap = 0;
+    let gapsAtSpacesOnly = false;
+
+    if (align === 'center') {
+      start = free / 2;
+    } else if (align === 'right') {
+      start = free;
+    } else if (align === 'justify' && !isLastLine) {
+      // Spread the slack over word gaps, or over every glyph gap in a single word
+      let end = items.length;
+      while (end > 0 && items[end - 1].isSpace) end--;
+      const spaceCount = items.slice(0, end).filter(it => it.isSpace).length;
+      gapsAtSpacesOnly = spaceCount > 0;
+      const gaps = gapsAtSpacesOnly ? spaceCount : end - 1;
+      extraPerGap = gaps > 0 ? free / gaps : 0;
+    }
+
+    const positions = [];
+    let x = start;
+    items.forEach((item, i) => {
+      if (i > 0) {
+        x += spacing + item.kern;
+        if (!gapsAtSpacesOnly) x += extraPerGap;
+      }
+      positions.push(x);
+      x += item.width;
+      if (gapsAtSpacesOnly && item.isSpace) x += extraPerGap;
+    });
+    return positions;
+  }
+
+  /**
+   * Binary-search the largest glyph height at which every line fits the frame.
+   */
+  _fitGlyphHeight(letters, frame) {
+    const fits = glyphHeight => {
+      const { height, width } = this._layoutAtSize(letters, frame.width, glyphHeight);
+      return height <= frame.height && width <= frame.width;
+    };
+
+    let low = this.options.minGlyphHeight;
+    let high = frame.height;
+    if (!fits(low)) return low;
+
+    for (let i = 0; i < 30 && high - low > 0.25; i++) {
+      const mid = (low + high) / 2;
+      if (fits(mid)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
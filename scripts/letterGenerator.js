@@ -1,12 +1,15 @@
 // letterGenerator.js
 import { generateFallbackLetterSVG } from './utils.js';
+import imageCache from './imageCache.js';
 
 /**
- * Generates letter fallbacks when actual letter assets cannot be found
+ * Generates letter fallbacks when actual letter assets cannot be found.
+ * The SVG marks a letter as generated and serves as a small preview; the
+ * renderer draws the glyph itself at layout size (see fallbackGlyph.js).
  */
 class LetterGenerator {
   constructor() {
-    this.cache = new Map();
+    this.cache = imageCache; // Shared with the asset service, under "generated:" keys
     this.stats = {
       generated: 0,
       cached: 0
@@ -21,12 +24,13 @@ class LetterGenerator {
    * @returns {Object} The generated letter object
    */
   generateLetter(char, style, options = {}) {
-    const cacheKey = `${char}_${style}_${options.variant || '01'}_${options.city || 'NYC'}`;
+    const cacheKey = `generated:${char}_${style}_${options.variant || '01'}_${options.city || 'NYC'}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
       this.stats.cached++;
-      return this.cache.get(cacheKey);
+      return cached;
     }
     
     // Generate SVG data URL
@@ -40,7 +44,7 @@ class LetterGenerator {
     };
     
     // Cache for future use
-    this.cache.set(cacheKey, letter);
+    this.cache.set(cacheKey, letter, { bytes: svgUrl.length * 2 });
     this.stats.generated++;
     
     return letter;
@@ -50,10 +54,7 @@ class LetterGenerator {
    * Get statistics about letter generation
    */
   getStats() {
-    return {
-      ...this.stats,
-      cacheSize: this.cache.size
-    };
+    return { ...this.stats };
   }
 }
 
@@ -1,150 +1,502 @@
 // scripts/letterSelector.js - FIXED VERSION
 // Combined approach from old and new versions
 
-import { generateFallbackLetterSVG } from './utils.js';
+import { createRandom, generateSeed, runLimited, shuffle } from './utils.js';
+import styleRegistry from './styleRegistry.js';
+import { classifyCharacter, decompose } from './characters.js';
+import config from './config.js';
 
 export default class LetterSelector {
-  constructor(database) {
-    this.database = database;
-    this.fallbackCache = new Map(); // Cache for fallback SVGs
+  /**
+   * Location value that draws each letter from its own city.
+   */
+  static MIX_CITIES = 'mix';
+
+  /**
+   * @param {AssetService} assets - Asset service used to find and load photos
+   */
+  constructor(assets) {
+    this.assets = assets;
   }
 
   /**
    * Select a letter-image for each character in `text`.
    * Returns an array of letter-objects describing how to render each character.
+   * Every letter object records the `city` it was drawn from.
+   *
+   * Digits and symbols come from the Numbers/ and Symbols/ folders. Accented
+   * letters use their own photos when there are any, otherwise a photo of the
+   * base letter with the accent painted on (`base` and `diacritic` are set).
+   * Runs of letters photographed together ("ST", "TH") become one ligature
+   * glyph, so the result can be shorter than the text.
+   *
+   * All random choices come from a PRNG seeded per output position, so the
+   * same text, settings and seed always yield the same letters.
+   *
+   * @param {string} text
+   * @param {string} style - Style registry key or "random"
+   * @param {string} location - City code, or LetterSelector.MIX_CITIES
+   * @param {Object} [options]
+   * @param {Object} [options.cityWeights] - city → weight for mix mode (default: all cities equally)
+   * @param {string|number} [options.seed] - Seed for all random choices (default: a new random seed)
+   * @param {Object} [options.overrides] - position → { value, path, style, city, diacritic? } for
+   *   locked letters; a lock only applies while the text at that position is unchanged
+   * @param {boolean} [options.ligatures=true] - Use ligature photos where the text allows
+   * @param {Object[]} [options.previous] - Letters of an earlier selection made with the same
+   *   style, location, seed and weights; positions whose character is unchanged keep their letter
+   * @param {AbortSignal} [options.signal] - Stops the selection (rejects with an AbortError)
+   * @param {Function} [options.onPlaceholders] - (letters) → void, called once every position is
+   *   known; letters still being looked up are { type: 'placeholder', value }
+   * @param {Function} [options.onLetter] - (position, letter) → void, called as each placeholder
+   *   is resolved
    */
-  async selectLettersForText(text, style, location) {
+  async selectLettersForText(text, style, location, options = {}) {
     const selected = [];
+    const pending = []; // Positions to resolve in parallel: { position, glyph, char, kind, style, city, random }
+    const chars = [...text];
     // Available styles for random mix
-    const availableStyles = ['sans', 'serif', 'mono', 'script', 'decorative'];
+    const availableStyles = styleRegistry.getKeys();
+    const mixCities = location === LetterSelector.MIX_CITIES;
+    const cityWeights = mixCities ? this._getCityWeights(options.cityWeights) : null;
+    const seed = options.seed !== undefined ? options.seed : generateSeed();
+    const useLigatures = options.ligatures !== false;
+    const checkAborted = () => {
+      if (options.signal && options.signal.aborted) {
+        throw new DOMException('Letter selection was cancelled', 'AbortError');
+      }
+    };
+    const lookups = new Map(); // "char|style|city" → Promise of _findVariants, shared by both passes
+    
+    // Look up what the layout pass depends on (mix-mode cities, ligatures, locks)
+    // ahead of it, several at a time, so that pass doesn't wait on each in turn
+    const lockedLetters = await this._prefetch(chars, style, location, {
+      availableStyles, cityWeights, useLigatures, overrides: options.overrides, lookups, checkAborted
+    });
+
+    // First decide what goes at each position; ligatures and locks change how
+    // many characters a position covers, so this runs in order
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+      // Positions count glyphs, not characters: ligatures take up one
+      const position = selected.length;
+      
+      // Let input events through on long texts, and stop if newer input superseded this
+      if (position > 0 && position % config.preview.yieldEvery === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      checkAborted();
 
-    for (const char of text) {
       // Handle spaces
       if (char === ' ') {
         selected.push({ type: 'space', value: char });
         continue;
       }
+      
+      // Handle explicit line breaks
+      if (char === '\n') {
+        selected.push({ type: 'newline', value: char });
+        continue;
+      }
 
-      // Handle non-alphanumeric characters (punctuation, etc.)
-      if (!char.match(/[a-zA-Z0-9]/)) {
+      // Characters with no asset folder (emoji, unknown punctuation)
+      const kind = classifyCharacter(char);
+      if (kind === 'other') {
         selected.push({ type: 'special', value: char });
         continue;
       }
       
-      // For random mix, choose a random style for each letter
-      let currentStyle = style;
-      if (style === 'random') {
-        // Check if this is a number or symbol
-        const isNumber = /^[0-9]$/.test(char);
-        const isSymbol = /^[!@#$%^&*()_+\-=\[\]{}|;':",./<>?]$/.test(char);
-        
-        if (isNumber || isSymbol) {
-          // Numbers and symbols don't need a style, they have their own folders
-          currentStyle = 'default'; // Just use a generic style for fallbacks
-        } else {
-          // For letters, try each style until we find one with assets
-          let foundStyle = false;
-          
-          // Shuffle the available styles randomly
-          const shuffledStyles = [...availableStyles].sort(() => Math.random() - 0.5);
-          
-          for (const testStyle of shuffledStyles) {
-            // Test if this style has valid variants for this letter
-            try {
-              const variants = await this.database.getLetterVariants(char, testStyle, location, true);
-              if (variants && variants.length > 0 && !variants[0].startsWith('data:image/svg+xml')) {
-                // Found a style with real image variants (not SVG fallbacks)
-                currentStyle = testStyle;
-                foundStyle = true;
-                break;
-              }
-            } catch (err) {
-              // Just continue to next style
-              console.log(`Style ${testStyle} not available for ${char}`);
-            }
-          }
-          
-          // If no style found with real images, just pick a random one for the fallback
-          if (!foundStyle) {
-            const randomIndex = Math.floor(Math.random() * availableStyles.length);
-            currentStyle = availableStyles[randomIndex];
-            console.log(`Using fallback style ${currentStyle} for ${char}`);
+      // Locked positions keep their chosen photo
+      const override = options.overrides && options.overrides[position];
+      if (override) {
+        const length = [...override.value].length;
+        if (chars.slice(i, i + length).join('') === override.value) {
+          const lockedLetter = lockedLetters.get(position);
+          if (lockedLetter) {
+            selected.push(lockedLetter);
+            i += length - 1;
+            continue;
           }
         }
       }
-
-      // Fetch available variants (includes fallback if none numbered)
-      let variants = [];
-      try {
-        variants = await this.database.getLetterVariants(char, currentStyle, location);
-      } catch (err) {
-        console.error(`Error fetching variants for "${char}":`, err);
-      }
-
-      // If no variants provided, use an SVG fallback
-      if (!variants || variants.length === 0) {
-        const fallbackData = this._getFallbackLetter(char, currentStyle);
-        selected.push(fallbackData);
+      
+      // The same character at the same position would be picked the same way again
+      const previous = options.previous && options.previous[position];
+      if (previous && !previous.locked && previous.value === char &&
+          !(useLigatures && kind === 'letter' && this._matchLigature(chars, i, previous.city || location))) {
+        selected.push(previous);
         continue;
       }
+      
+      // Each position gets its own stream, so one letter's choices don't shift the rest
+      const random = createRandom(`${seed}:${position}`);
+      
+      // In mix mode, pick the city for this letter first
+      let city = location;
+      if (mixCities) {
+        const candidateStyles = style === 'random' ? availableStyles : [style];
+        city = await this._pickCity(char, candidateStyles, cityWeights, random, lookups);
+      }
+      
+      // A ligature replaces the letters it covers when it has photos in the style
+      let glyph = char;
+      let glyphStyle = style;
+      const ligature = useLigatures && kind === 'letter' ? this._matchLigature(chars, i, city) : null;
+      if (ligature) {
+        const ligatureStyle = style === 'random'
+          ? await this._pickStyle(ligature, city, availableStyles, random, lookups)
+          : style;
+        if (ligatureStyle && (await this._findVariants(ligature, ligatureStyle, city, lookups)).variants.length > 0) {
+          glyph = ligature;
+          glyphStyle = ligatureStyle;
+        }
+      }
+      i += [...glyph].length - 1;
+      
+      selected.push({ type: 'placeholder', value: glyph, city });
+      pending.push({ position, glyph, char, kind, style: glyphStyle, city, random });
+    }
+    
+    if (options.onPlaceholders) options.onPlaceholders(selected.slice());
+    
+    // Then find and load the photos, several at a time
+    await runLimited(pending.map(entry => async () => {
+      checkAborted();
+      const letter = await this._resolveGlyph(entry, style, availableStyles, lookups);
+      selected[entry.position] = letter;
+      if (options.onLetter) options.onLetter(entry.position, letter);
+    }), config.assets.concurrency);
+    checkAborted();
 
-      // Check if the variant is an SVG data URL
-      const path = variants[0]; // Use first variant
-      const isSvgUrl = path.startsWith('data:image/svg+xml');
+    return selected;
+  }
+  
+  /**
+   * Run the lookups the layout pass of selectLettersForText will make, under
+   * the asset concurrency limit: which cities have photos of each character
+   * (mix mode), the ligatures the text could use in each city, and the photos
+   * of locked letters. Results land in `lookups`, where the pass finds them.
+   * @param {string[]} chars
+   * @param {string} style - The requested style, or "random"
+   * @param {string} location
+   * @param {Object} context - { availableStyles, cityWeights, useLigatures, overrides, lookups, checkAborted }
+   * @returns {Promise<Map>} position → locked letter object, or null if its photo can't be loaded
+   */
+  async _prefetch(chars, style, location, context) {
+    const { availableStyles, cityWeights, useLigatures, overrides, lookups, checkAborted } = context;
+    const styles = style === 'random' ? availableStyles : [style];
+    const cities = cityWeights ? cityWeights.map(([city]) => city) : [location];
+    const tasks = new Map(); // Key → task, so each lookup runs once
+    
+    const kinds = chars.map(char => (char === ' ' || char === '\n' ? 'other' : classifyCharacter(char)));
+    chars.forEach((char, i) => {
+      if (kinds[i] === 'other') return;
       
-      if (isSvgUrl) {
-        // For SVG data URLs, create special letter object
-        selected.push({
-          type: 'letter',
-          value: char,
-          path,
-          url: path, // Add URL property for renderer compatibility
-          style: currentStyle
-        });
-        continue;
+      // _pickCity tries the styles in order for each city, stopping at the first with photos
+      if (cityWeights) {
+        for (const city of cities) {
+          tasks.set(`city:${char}|${city}`, async () => {
+            for (const testStyle of styles) {
+              if ((await this._findVariants(char, testStyle, city, lookups)).variants.length > 0) break;
+            }
+          });
+        }
+      }
+      
+      if (!useLigatures || kinds[i] !== 'letter') return;
+      for (const city of cities) {
+        const ligature = this._matchLigature(chars, i, city);
+        if (!ligature) continue;
+        for (const testStyle of styles) {
+          tasks.set(`ligature:${ligature}|${testStyle}|${city}`, () => this._findVariants(ligature, testStyle, city, lookups));
+        }
+      }
+    });
+    
+    // Locks whose text still occurs somewhere; the pass checks their position
+    const lockedLetters = new Map();
+    const text = chars.join('');
+    for (const [position, override] of Object.entries(overrides || {})) {
+      if (!override || !text.includes(override.value)) continue;
+      tasks.set(`lock:${position}`, async () => {
+        lockedLetters.set(Number(position), await this._getLockedLetter(override));
+      });
+    }
+    
+    await runLimited([...tasks.values()].map(task => () => {
+      checkAborted();
+      return task();
+    }), config.assets.concurrency);
+    return lockedLetters;
+  }
+  
+  /**
+   * Pick and load the photo for one position decided by selectLettersForText.
+   * @param {Object} entry - { glyph, char, kind, style, city, random }
+   * @param {string} style - The requested style, or "random"
+   * @param {string[]} availableStyles
+   * @param {Map} [lookups] - Shared _findVariants results
+   * @returns {Promise<Object>} Letter object
+   */
+  async _resolveGlyph({ glyph, char, kind, style: glyphStyle, city, random }, style, availableStyles, lookups) {
+    let currentStyle = glyphStyle;
+    
+    // For random mix, choose a random style for each letter
+    if (style === 'random' && glyph === char) {
+      if (kind !== 'letter') {
+        // Numbers and symbols don't need a style, they have their own folders
+        currentStyle = 'default'; // Just use a generic style for fallbacks
+      } else {
+        // For letters, try each style until we find one with assets
+        currentStyle = await this._pickStyle(char, city, availableStyles, random, lookups);
+        
+        // If no style found with real images, just pick a random one for the fallback
+        if (!currentStyle) {
+          const randomIndex = Math.floor(random() * availableStyles.length);
+          currentStyle = availableStyles[randomIndex];
+          console.log(`Using fallback style ${currentStyle} for ${char}`);
+        }
       }
+    }
 
-      // Randomly pick one variant path (if multiple exist)
-      const index = Math.floor(Math.random() * variants.length);
-      const selectedPath = variants[index];
+    // Photos of the glyph itself, or of its base letter for accented letters
+    const { variants, mark } = await this._findVariants(glyph, currentStyle, city, lookups);
 
-      try {
-        const img = await this.database.loadImage(selectedPath);
-        selected.push({
-          type: 'letter',
-          value: char,
-          path: selectedPath,
-          url: selectedPath, // Add URL property for renderer compatibility
-          image: img,
-          style: currentStyle,
-          isFallback: selectedPath.includes('/fallback/')
-        });
-      } catch (err) {
-        console.error(`Error loading image for "${char}" at ${selectedPath}:`, err);
-        // Use fallback for failed image loads
-        const fallbackData = this._getFallbackLetter(char, style);
-        selected.push(fallbackData);
+    if (variants.length === 0) {
+      // Symbols without photos are drawn as text; letters and digits get a generated glyph
+      if (kind === 'symbol') {
+        return { type: 'special', value: char };
       }
+      return { ...this._getFallbackLetter(char, currentStyle), city };
     }
 
-    return selected;
+    // Randomly pick one variant path (if multiple exist)
+    const index = Math.floor(random() * variants.length);
+    const selectedPath = variants[index];
+
+    try {
+      return await this._photoLetter(glyph, selectedPath, mark, currentStyle, city);
+    } catch (err) {
+      console.error(`Error loading image for "${glyph}" at ${selectedPath}:`, err);
+      // Use fallback for failed image loads
+      return { ...this._getFallbackLetter(glyph, currentStyle), city };
+    }
   }
   
   /**
-   * Get fallback letter (using cache to avoid regenerating SVGs)
+   * The letter object for another photo of the same glyph, keeping any
+   * painted-on accent. Used when a variant is picked by hand.
+   * @param {Object} letter - Letter object from selectLettersForText
+   * @param {string} path - Asset path of the new photo
+   * @returns {Promise<Object>}
    */
-  _getFallbackLetter(char, style) {
-    const cacheKey = `${char}_${style}`;
+  getVariantLetter(letter, path) {
+    return this._photoLetter(letter.value, path, letter.diacritic, letter.style, letter.city);
+  }
+  
+  /**
+   * Build the letter object for a locked position.
+   * @param {Object} override - { value, path, style, city, diacritic? }
+   * @returns {Promise<Object|null>} Letter object, or null if the photo can't be loaded
+   */
+  async _getLockedLetter(override) {
+    try {
+      const letter = await this._photoLetter(
+        override.value, override.path, override.diacritic, override.style, override.city
+      );
+      return { ...letter, locked: true };
+    } catch (err) {
+      console.error(`Locked variant for "${override.value}" is unavailable: ${override.path}`, err);
+      return null;
+    }
+  }
+  
+  /**
+   * Load a photo into a letter object. With a diacritic, the photo is of the
+   * base letter and the accent is painted on.
+   * @param {string} value - Character or ligature shown
+   * @param {string} path - Asset path of the photo
+   * @param {string|null} diacritic - Combining mark to paint on, if any
+   * @param {string} style
+   * @param {string} city
+   * @returns {Promise<Object>}
+   */
+  async _photoLetter(value, path, diacritic, style, city) {
+    const letter = { type: 'letter', value, path, style, city, isFallback: path.includes('/fallback/') };
+    
+    if (diacritic) {
+      const composed = await this.assets.loadComposed(path, diacritic);
+      return {
+        ...letter,
+        base: decompose(value).base,
+        diacritic,
+        url: composed.url,
+        image: composed.canvas,
+        metrics: { width: composed.width, height: composed.height }
+      };
+    }
+    
+    const img = await this.assets.loadImage(path);
+    return {
+      ...letter,
+      url: this.assets.getUrl(path), // Where the renderer loads it from
+      image: img,
+      metrics: this._getMetrics(path, img)
+    };
+  }
+  
+  /**
+   * Real photos of a character: its own, or its base letter's when it is an
+   * accented letter without photos.
+   * @param {string} char
+   * @param {string} style
+   * @param {string} city
+   * @param {Map} [lookups] - Results by "char|style|city", to share lookups within one selection
+   * @returns {Promise<{variants: string[], mark: string|null}>} mark is the accent to paint on
+   */
+  _findVariants(char, style, city, lookups) {
+    if (!lookups) return this._lookupVariants(char, style, city);
+    
+    const key = `${char}|${style}|${city}`;
+    if (!lookups.has(key)) {
+      lookups.set(key, this._lookupVariants(char, style, city));
+    }
+    return lookups.get(key);
+  }
+  
+  async _lookupVariants(char, style, city) {
+    try {
+      const own = await this.assets.resolveVariants(char, style, city, true);
+      if (own.length > 0) return { variants: own, mark: null };
+      
+      const parts = decompose(char);
+      if (parts) {
+        const variants = await this.assets.resolveVariants(parts.base, style, city, true);
+        if (variants.length > 0) return { variants, mark: parts.mark };
+      }
+    } catch (err) {
+      console.error(`Error fetching variants for "${char}":`, err);
+    }
+    return { variants: [], mark: null };
+  }
+  
+  /**
+   * Try the styles in a random order and return the first with real photos of `char`.
+   * @returns {Promise<string|null>}
+   */
+  async _pickStyle(char, city, styles, random, lookups) {
+    for (const testStyle of shuffle(styles, random)) {
+      if ((await this._findVariants(char, testStyle, city, lookups)).variants.length > 0) {
+        return testStyle;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * The longest ligature photographed in `city` that the text continues with
+   * at index `i`. Ligatures match a run of letters in one case only.
+   * @param {string[]} chars - The text as characters
+   * @param {number} i
+   * @param {string} city
+   * @returns {string|null} e.g. "ST"
+   */
+  _matchLigature(chars, i, city) {
+    const ligatures = this.assets.getLigatures(city);
+    if (ligatures.length === 0) return null;
+    
+    for (const length of [3, 2]) {
+      const run = chars.slice(i, i + length).join('');
+      if (ligatures.includes(run)) return run;
+    }
+    return null;
+  }
+  
+  /**
+   * Pixel size of a photo for proportional layout: from the asset manifest
+   * when it lists the path, otherwise from the loaded image.
+   * @returns {{width: number, height: number}|null}
+   */
+  _getMetrics(path, img) {
+    const entry = this.assets.getManifestEntry(path);
+    if (entry && entry.width && entry.height) {
+      return { width: entry.width, height: entry.height };
+    }
+    if (img && img.naturalWidth && img.naturalHeight) {
+      return { width: img.naturalWidth, height: img.naturalHeight };
+    }
+    return null;
+  }
+  
+  /**
+   * Normalize city weights for mix mode, dropping unknown or non-positive entries.
+   * @param {Object} [weights] - city → weight
+   * @returns {Array<[string, number]>} [city, weight] pairs
+   */
+  _getCityWeights(weights) {
+    const cities = this.assets.getCities();
+    
+    if (!weights) {
+      return cities.map(city => [city, 1]);
+    }
+    
+    const entries = cities
+      .map(city => [city, Number(weights[city]) || 0])
+      .filter(([, weight]) => weight > 0);
+    
+    // All weights zeroed out: treat every city equally rather than failing
+    return entries.length > 0 ? entries : cities.map(city => [city, 1]);
+  }
+  
+  /**
+   * Pick a city for a character, weighted, preferring cities that have a real
+   * photo of it in one of the candidate styles.
+   * @param {string} char
+   * @param {string[]} styles - Styles the letter may be drawn in
+   * @param {Array<[string, number]>} cityWeights
+   * @param {Function} random - Random source returning [0, 1)
+   * @param {Map} [lookups] - Shared _findVariants results
+   * @returns {Promise<string>} City code
+   */
+  async _pickCity(char, styles, cityWeights, random, lookups) {
+    const withAssets = [];
     
-    if (this.fallbackCache.has(cacheKey)) {
-      return this.fallbackCache.get(cacheKey);
+    for (const [city, weight] of cityWeights) {
+      for (const testStyle of styles) {
+        if ((await this._findVariants(char, testStyle, city, lookups)).variants.length > 0) {
+          withAssets.push([city, weight]);
+          break;
+        }
+      }
+    }
+    
+    return this._weightedPick(withAssets.length > 0 ? withAssets : cityWeights, random);
+  }
+  
+  /**
+   * Pick one value from [value, weight] pairs.
+   */
+  _weightedPick(entries, random = Math.random) {
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random() * total;
+    
+    for (const [value, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return value;
     }
     
-    // Generate SVG for this letter
-    const svgUrl = generateFallbackLetterSVG(char, style);
+    return entries[entries.length - 1][0];
+  }
+  
+  /**
+   * Get fallback letter. The generated SVG comes from letterGenerator, which
+   * keeps it in the shared image cache under a "generated:" key, so there is
+   * no separate fallback cache here.
+   */
+  _getFallbackLetter(char, style) {
+    const svgUrl = this.assets.getFallback(char, style).src;
     
     // Create fallback letter object that works with the renderer
-    const fallbackLetter = {
+    return {
       type: 'letter',
       value: char,
       url: svgUrl,
@@ -152,10 +504,5 @@ export default class LetterSelector {
       isFallback: true,
       style: style
     };
-    
-    // Cache for future use
-    this.fallbackCache.set(cacheKey, fallbackLetter);
-    
-    return fallbackLetter;
   }
 }
\ No newline at end of file
@@ -0,0 +1,380 @@
+// mapView.js
+// "Where is this from" map: plots where the poster's letters were photographed,
+// on local map tiles or a simple projected outline of the city, without any
+// online map service
+
+import config from './config.js';
+
+const TILE_SIZE = 256;
+// Marker radius and font size at a 300 px wide map; other sizes scale from it
+const MARKER_RADIUS = 9;
+const REFERENCE_WIDTH = 300;
+// Smallest area shown, in degrees, so one location isn't blown up to a single block
+const MIN_SPAN = 0.01;
+// Free space around the markers, as a fraction of the map size
+const PADDING = 0.15;
+
+/**
+ * Web Mercator projection into world units (0 … 1 on both axes).
+ */
+function project(lat, lng) {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: (lng + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  };
+}
+
+/**
+ * Every coordinate ring or line of a GeoJSON object, with whether it is a polygon ring.
+ * @returns {{coordinates: number[][], closed: boolean}[]}
+ */
+function geoJsonPaths(geojson) {
+  if (!geojson) return [];
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return geojson.features.flatMap(geoJsonPaths);
+    case 'Feature':
+      return geoJsonPaths(geojson.geometry);
+    case 'LineString':
+      return [{ coordinates: geojson.coordinates, closed: false }];
+    case 'MultiLineString':
+      return geojson.coordinates.map(coordinates => ({ coordinates, closed: false }));
+    case 'Polygon':
+      return geojson.coordinates.map(coordinates => ({ coordinates, closed: true }));
+    case 'MultiPolygon':
+      return geojson.coordinates.flat().map(coordinates => ({ coordinates, closed: true }));
+    default:
+      return [];
+  }
+}
+
+export default class MapView {
+  /**
+   * @param {HTMLCanvasElement} canvas - Where the interactive map is drawn
+   * @param {Object} [options] - Overrides for config.map
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.options = { ...config.map, ...options };
+    this.city = null;
+    this.markers = [];        // { lat, lng, label, indices, x, y } (x/y in canvas pixels after a render)
+    this.activeIndex = -1;    // Glyph index highlighted from the poster
+    this.hoverMarker = null;
+    this.tileZoom = 0;        // Tile zoom of the last interactive render
+    this.tiles = new Map();   // URL → HTMLImageElement, or null when missing
+    this.outlines = new Map(); // City → GeoJSON, or null when missing
+    this.onMarkerHover = null; // Called with the glyph indices under the pointer, or null
+    this.onMarkerClick = null; // Called with a marker's glyph indices
+
+    canvas.addEventListener('mousemove', event => this._setHoverMarker(this._markerAt(event)));
+    canvas.addEventListener('mouseleave', () => this._setHoverMarker(null));
+    canvas.addEventListener('click', event => {
+      const marker = this._markerAt(event);
+      if (marker && this.onMarkerClick) {
+        this.onMarkerClick(marker.indices);
+      }
+    });
+  }
+
+  /**
+   * Show a composition's photo locations. Letters photographed at the same
+   * spot share one marker.
+   * @param {Object[]} points - { index, label, lat, lng }
+   * @param {string} city - City whose outline to draw when there are no tiles
+   */
+  setPoints(points, city) {
+    const byPlace = new Map();
+    for (const point of points) {
+      const key = `${point.lat.toFixed(5)},${point.lng.toFixed(5)}`;
+      const marker = byPlace.get(key) || { lat: point.lat, lng: point.lng, label: '', indices: [] };
+      marker.label += point.label;
+      marker.indices.push(point.index);
+      byPlace.set(key, marker);
+    }
+
+    this.markers = [...byPlace.values()];
+    this.hoverMarker = null;
+    this.city = city;
+    this._loadOutline(city);
+    this.render();
+  }
+
+  /**
+   * Emphasize the marker of one glyph (e.g. the one hovered on the poster).
+   * @param {number} index - Glyph index, or -1 for none
+   */
+  setActive(index) {
+    if (index === this.activeIndex) return;
+    this.activeIndex = index;
+    this.render();
+  }
+
+  /**
+   * Redraw the interactive map.
+   */
+  render() {
+    const ctx = this.canvas.getContext('2d');
+    const viewport = this._viewport(this.canvas.width, this.canvas.height);
+    this.tileZoom = this._tileZoom(viewport.scale);
+    this._draw(ctx, this.canvas.width, this.canvas.height, viewport, this.tileZoom, true);
+  }
+
+  /**
+   * The map with a caption, for printing on exported posters. Tiles are
+   * those already loaded for the interactive map, so the legend never waits
+   * on the network.
+   * @param {number} width - Legend width in pixels
+   * @returns {HTMLCanvasElement|null} null when no letter has a location
+   */
+  createLegend(width) {
+    if (this.markers.length === 0) return null;
+
+    const unit = width / REFERENCE_WIDTH;
+    const mapHeight = Math.round((width * this.canvas.height) / this.canvas.width);
+    const captionHeight = Math.round(22 * unit);
+    const legend = document.createElement('canvas');
+    legend.width = Math.round(width);
+    legend.height = mapHeight + captionHeight;
+
+    const ctx = legend.getContext('2d');
+    this._draw(ctx, legend.width, mapHeight, this._viewport(legend.width, mapHeight), this.tileZoom, false);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, mapHeight, legend.width, captionHeight);
+    ctx.fillStyle = '#333333';
+    ctx.font = `${Math.round(11 * unit)}px Helvetica, Arial, sans-serif`;
+    ctx.textBaseline = 'middle';
+    const letters = this.markers.reduce((sum, marker) => sum + marker.indices.length, 0);
+    const city = config.cityLabels[this.city] || this.city || '';
+    ctx.fillText(`${letters} letters photographed at ${this.markers.length} places${city ? ` in ${city}` : ''}`,
+      6 * unit, mapHeight + captionHeight / 2);
+
+    ctx.strokeStyle = '#999999';
+    ctx.lineWidth = Math.max(1, unit);
+    ctx.strokeRect(0.5, 0.5, legend.width - 1, legend.height - 1);
+    return legend;
+  }
+
+  /**
+   * Fit the markers into a drawing area.
+   * @returns {{scale: number, originX: number, originY: number}} Pixels per
+   *   world unit, and the world point at the top-left corner
+   */
+  _viewport(width, height) {
+    const points = this.markers.length > 0
+      ? this.markers.map(marker => project(marker.lat, marker.lng))
+      : [project(0, 0)];
+
+    let minX = Math.min(...points.map(p => p.x));
+    let maxX = Math.max(...points.map(p => p.x));
+    let minY = Math.min(...points.map(p => p.y));
+    let maxY = Math.max(...points.map(p => p.y));
+
+    const minSpan = MIN_SPAN / 360;
+    const spanX = Math.max(maxX - minX, minSpan) * (1 + 2 * PADDING);
+    const spanY = Math.max(maxY - minY, minSpan) * (1 + 2 * PADDING);
+    const scale = Math.min(width / spanX, height / spanY);
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+
+    return {
+      scale,
+      originX: centerX - width / 2 / scale,
+      originY: centerY - height / 2 / scale
+    };
+  }
+
+  _tileZoom(scale) {
+    const zoom = Math.round(Math.log2(scale / TILE_SIZE));
+    return Math.max(0, Math.min(this.options.maxZoom, zoom));
+  }
+
+  /**
+   * Draw background, tiles or outline, and markers.
+   * @param {boolean} interactive - Whether this is the panel map (loads missing tiles,
+   *   remembers marker positions for hit testing)
+   */
+  _draw(ctx, width, height, viewport, zoom, interactive) {
+    const unit = width / REFERENCE_WIDTH;
+    const toPixel = (lat, lng) => {
+      const p = project(lat, lng);
+      return { x: (p.x - viewport.originX) * viewport.scale, y: (p.y - viewport.originY) * viewport.scale };
+    };
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    ctx.clip();
+    ctx.fillStyle = '#eef1f4';
+    ctx.fillRect(0, 0, width, height);
+
+    if (this.options.tileUrl) {
+      this._drawTiles(ctx, width, height, viewport, zoom, interactive);
+    } else {
+      this._drawOutline(ctx, toPixel, unit);
+    }
+
+    for (const marker of this.markers) {
+      const { x, y } = toPixel(marker.lat, marker.lng);
+      if (interactive) {
+        marker.x = x;
+        marker.y = y;
+      }
+      const active = marker === this.hoverMarker || marker.indices.includes(this.activeIndex);
+      this._drawMarker(ctx, x, y, marker.label, active, unit);
+    }
+
+    if (this.options.tileUrl && this.options.tileAttribution) {
+      ctx.font = `${Math.round(8 * unit)}px Helvetica, Arial, sans-serif`;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(this.options.tileAttribution, width - 3 * unit, height - 2 * unit);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw the tiles covering the view at one zoom level, scaled to the viewport.
+   */
+  _drawTiles(ctx, width, height, viewport, zoom, interactive) {
+    const count = 2 ** zoom;
+    const tileWorld = 1 / count;
+    const tilePixels = tileWorld * viewport.scale;
+    const first = {
+      x: Math.max(0, Math.floor(viewport.originX / tileWorld)),
+      y: Math.max(0, Math.floor(viewport.originY / tileWorld))
+    };
+    const last = {
+      x: Math.min(count - 1, Math.floor((viewport.originX + width / viewport.scale) / tileWorld)),
+      y: Math.min(count - 1, Math.floor((viewport.originY + height / viewport.scale) / tileWorld))
+    };
+
+    for (let ty = first.y; ty <= last.y; ty++) {
+      for (let tx = first.x; tx <= last.x; tx++) {
+        const url = this.options.tileUrl.replace('{z}', zoom).replace('{x}', tx).replace('{y}', ty);
+        const tile = this.tiles.get(url);
+        if (tile) {
+          const x = (tx * tileWorld - viewport.originX) * viewport.scale;
+          const y = (ty * tileWorld - viewport.originY) * viewport.scale;
+          ctx.drawImage(tile, x, y, tilePixels + 0.5, tilePixels + 0.5);
+        } else if (interactive && !this.tiles.has(url)) {
+          this._loadTile(url);
+        }
+      }
+    }
+  }
+
+  _loadTile(url) {
+    this.tiles.set(url, null);
+    const img = new Image();
+    img.onload = () => {
+      this.tiles.set(url, img);
+      this.render();
+    };
+    img.onerror = () => console.warn(`Map tile not found: ${url}`);
+    img.src = url;
+  }
+
+  /**
+   * Draw the city's outline, or a plain grid when there is none.
+   */
+  _drawOutline(ctx, toPixel, unit) {
+    const outline = this.outlines.get(this.city);
+    if (!outline) {
+      ctx.strokeStyle = '#dde2e7';
+      ctx.lineWidth = unit;
+      const step = 30 * unit;
+      for (let x = step; x < ctx.canvas.width; x += step) {
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, ctx.canvas.height);
+        ctx.stroke();
+      }
+      for (let y = step; y < ctx.canvas.height; y += step) {
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(ctx.canvas.width, y);
+        ctx.stroke();
+      }
+      return;
+    }
+
+    ctx.lineWidth = 1.5 * unit;
+    ctx.strokeStyle = '#a9b4bf';
+    ctx.fillStyle = '#ffffff';
+    for (const { coordinates, closed } of geoJsonPaths(outline)) {
+      ctx.beginPath();
+      coordinates.forEach(([lng, lat], i) => {
+        const { x, y } = toPixel(lat, lng);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      if (closed) {
+        ctx.closePath();
+        ctx.fill();
+      }
+      ctx.stroke();
+    }
+  }
+
+  _drawMarker(ctx, x, y, label, active, unit) {
+    const radius = MARKER_RADIUS * unit * (active ? 1.3 : 1);
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = active ? '#ff3b30' : '#0074d9';
+    ctx.fill();
+    ctx.lineWidth = 1.5 * unit;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    // Several letters from one spot: show the first few
+    const text = label.length > 3 ? `${label.slice(0, 2)}…` : label;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${Math.round((text.length > 1 ? 8 : 11) * unit)}px Helvetica, Arial, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y + 0.5 * unit);
+  }
+
+  /**
+   * Fetch the city's outline GeoJSON once; missing files just mean no outline.
+   */
+  async _loadOutline(city) {
+    if (this.options.tileUrl || !city || !this.options.outlineUrl || this.outlines.has(city)) return;
+
+    this.outlines.set(city, null);
+    try {
+      const response = await fetch(this.options.outlineUrl.replace('{city}', city));
+      if (!response.ok) return;
+      this.outlines.set(city, await response.json());
+      if (this.city === city) this.render();
+    } catch (error) {
+      console.warn(`Could not load the map outline for ${city}`, error);
+    }
+  }
+
+  _markerAt(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+    const y = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+    const radius = MARKER_RADIUS * (this.canvas.width / REFERENCE_WIDTH) * 1.3;
+    // Topmost (last drawn) marker wins
+    for (let i = this.markers.length - 1; i >= 0; i--) {
+      const marker = this.markers[i];
+      if (Math.hypot(marker.x - x, marker.y - y) <= radius) return marker;
+    }
+    return null;
+  }
+
+  _setHoverMarker(marker) {
+    if (marker === this.hoverMarker) return;
+    this.hoverMarker = marker;
+    this.canvas.style.cursor = marker ? 'pointer' : '';
+    this.render();
+    if (this.onMarkerHover) {
+      this.onMarkerHover(marker ? marker.indices : null);
+    }
+  }
+}
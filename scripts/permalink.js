@@ -0,0 +1,110 @@
+// permalink.js
+// The composition in the URL hash, so a link reproduces the same poster:
+//   #v=1&t=Hello&s=sans&c=NYC&k=mixed&z=small&f=16x24&seed=K3F9&l=0~H~sans~NYC~Alphabet/…/02.jpg
+
+import { PROJECT_FORMAT, PROJECT_VERSION, parseProject } from './project.js';
+
+const PERMALINK_VERSION = '1';
+
+// Hash key → project field
+const FIELDS = {
+  t: 'text',
+  s: 'style',
+  c: 'city',
+  k: 'caseOption',
+  z: 'fontSize',
+  f: 'canvasFormat',
+  seed: 'seed'
+};
+
+// Bundled photos drop the common prefix; anything else is marked with "@"
+const ASSET_PREFIX = 'assets/';
+
+// Percent-encode a value, keeping slashes readable and escaping the lock separator
+function encode(value) {
+  return encodeURIComponent(value).replace(/%2F/g, '/').replace(/~/g, '%7E');
+}
+
+function encodeVariantId(path) {
+  return path.startsWith(ASSET_PREFIX) ? path.slice(ASSET_PREFIX.length) : `@${path}`;
+}
+
+function decodeVariantId(id) {
+  return id.startsWith('@') ? id.slice(1) : ASSET_PREFIX + id;
+}
+
+/**
+ * Build the hash (without "#") for a project. Only the composition travels:
+ * text, style, city, case, size, format, seed and locked letters.
+ * @param {Object} project - From ProjectManager.current()
+ * @returns {string}
+ */
+export function encodePermalink(project) {
+  const parts = [`v=${PERMALINK_VERSION}`];
+  for (const [key, field] of Object.entries(FIELDS)) {
+    if (typeof project[field] === 'string') {
+      parts.push(`${key}=${encode(project[field])}`);
+    }
+  }
+
+  // One entry per lock: position~value~style~city~variant id[~diacritic]
+  for (const lock of project.locks || []) {
+    const fields = [String(lock.position), lock.value, lock.style || '', lock.city || '', encodeVariantId(lock.path)];
+    if (lock.diacritic) fields.push(lock.diacritic);
+    parts.push(`l=${fields.map(encode).join('~')}`);
+  }
+
+  return parts.join('&');
+}
+
+/**
+ * Read a project from a URL hash.
+ * @param {string} hash - location.hash, with or without "#"
+ * @returns {Object|null} Project (see parseProject), or null when the hash isn't a permalink
+ */
+export function decodePermalink(hash) {
+  const data = { format: PROJECT_FORMAT, version: PROJECT_VERSION, locks: [] };
+  let version = null;
+
+  for (const part of hash.replace(/^#/, '').split('&')) {
+    const at = part.indexOf('=');
+    if (at < 0) continue;
+    const key = part.slice(0, at);
+    const raw = part.slice(at + 1);
+
+    try {
+      if (key === 'v') {
+        version = decodeURIComponent(raw);
+      } else if (key === 'l') {
+        const [position, value, style, city, id, diacritic] = raw.split('~').map(decodeURIComponent);
+        if (!id) continue;
+        data.locks.push({
+          position: Number(position),
+          value,
+          style: style || undefined,
+          city: city || undefined,
+          path: decodeVariantId(id),
+          ...(diacritic ? { diacritic } : {})
+        });
+      } else if (key in FIELDS) {
+        data[FIELDS[key]] = decodeURIComponent(raw);
+      }
+    } catch (error) {
+      // A truncated or hand-edited link: skip the damaged part
+      console.warn(`Ignoring unreadable permalink part "${key}"`, error);
+    }
+  }
+
+  if (version !== PERMALINK_VERSION || typeof data.text !== 'string') return null;
+  return parseProject(data);
+}
+
+/**
+ * The page URL with a project's permalink as its hash.
+ * @param {Object} project
+ * @param {Location} [location] - Page location (default: window.location)
+ * @returns {string}
+ */
+export function createPermalink(project, location = window.location) {
+  return `${location.origin}${location.pathname}${location.search}#${encodePermalink(project)}`;
+}
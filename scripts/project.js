@@ -0,0 +1,256 @@
+// project.js
+// The poster as a saveable project: autosaved between visits, exported as a
+// .streettype.json file, kept as named snapshots, with undo/redo across edits
+
+import { debounce } from './utils.js';
+import { get, getAll, put, remove } from './storage.js';
+import config from './config.js';
+
+export const PROJECT_FORMAT = 'streettype-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.streettype.json';
+
+const AUTOSAVE_ID = 'autosave';
+const SNAPSHOT_PREFIX = 'snapshot:';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a project read from a file or storage and keep only what the app
+ * understands. Settings that are missing are left out, so the current ones stay.
+ * @param {Object} data
+ * @returns {Object} Project: { format, version, text, style?, city?, cityWeights?,
+ *   caseOption?, fontSize?, canvasFormat?, seed?, layout?, glyphMode?,
+ *   adjustments?, fallbackDistress?, locks: [], letterSettings: [] }
+ * @throws {Error} When it is not a StreetType project, or is from a newer version
+ */
+export function parseProject(data) {
+  if (!isObject(data) || data.format !== PROJECT_FORMAT) {
+    throw new Error('Not a StreetType project');
+  }
+  if (!(data.version <= PROJECT_VERSION)) {
+    throw new Error(`Project version ${data.version} needs a newer StreetType`);
+  }
+
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    text: typeof data.text === 'string' ? data.text : ''
+  };
+  for (const key of ['style', 'city', 'caseOption', 'fontSize', 'canvasFormat', 'seed', 'glyphMode']) {
+    if (typeof data[key] === 'string') project[key] = data[key];
+  }
+  for (const key of ['cityWeights', 'layout', 'adjustments']) {
+    if (isObject(data[key])) project[key] = { ...data[key] };
+  }
+  if (typeof data.fallbackDistress === 'number') {
+    project.fallbackDistress = data.fallbackDistress;
+  }
+
+  // Per-letter choices only apply at a position holding the same character
+  const atPosition = entry => isObject(entry) && Number.isInteger(entry.position) && entry.position >= 0 &&
+    typeof entry.value === 'string';
+  project.locks = (Array.isArray(data.locks) ? data.locks : [])
+    .filter(lock => atPosition(lock) && typeof lock.path === 'string')
+    .map(({ position, value, path, style, city, diacritic }) =>
+      ({ position, value, path, style, city, ...(diacritic ? { diacritic } : {}) }));
+  project.letterSettings = (Array.isArray(data.letterSettings) ? data.letterSettings : [])
+    .filter(entry => atPosition(entry) && isObject(entry.settings))
+    .map(({ position, value, settings }) => ({ position, value, settings }));
+
+  return project;
+}
+
+/**
+ * Keeps the current project: an undo/redo history of its states, an autosaved
+ * copy in IndexedDB, named snapshots and project files. The app describes and
+ * restores its state through two callbacks:
+ *   getState()        - the current project fields (see parseProject)
+ *   applyState(state) - set every control from a project and regenerate the poster
+ */
+export default class ProjectManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getState - () → project fields
+   * @param {Function} options.applyState - async (project) → void
+   * @param {Function} [options.onChange] - Called when undo/redo availability may have changed
+   */
+  constructor({ getState, applyState, onChange = null }) {
+    this.getState = getState;
+    this.applyState = applyState;
+    this.onChange = onChange;
+    this.history = [];     // Project states as JSON, oldest first
+    this.index = -1;       // The state on screen
+    this.restoring = false; // Set while a state is applied, so it isn't recorded again
+
+    this._autosave = debounce(() => this._saveAutosave(), config.projects.autosaveDelay);
+  }
+
+  /**
+   * The project as it is on screen.
+   * @returns {Object}
+   */
+  current() {
+    return parseProject({ ...this.getState(), format: PROJECT_FORMAT, version: PROJECT_VERSION });
+  }
+
+  /**
+   * Add the current state to the history (dropping any redo steps) and
+   * schedule an autosave. Call after every edit; repeats are ignored.
+   */
+  record() {
+    if (this.restoring) return;
+
+    const json = JSON.stringify(this.current());
+    if (json === this.history[this.index]) return;
+
+    this.history = this.history.slice(0, this.index + 1);
+    this.history.push(json);
+    if (this.history.length > config.projects.historyLimit) {
+      this.history.shift();
+    }
+    this.index = this.history.length - 1;
+
+    this._autosave();
+    this._changed();
+  }
+
+  get canUndo() {
+    return this.index > 0;
+  }
+
+  get canRedo() {
+    return this.index < this.history.length - 1;
+  }
+
+  /**
+   * Go back one state.
+   * @returns {Promise<boolean>} false when there is nothing to undo
+   */
+  async undo() {
+    if (!this.canUndo) return false;
+    this.index--;
+    await this._restore(JSON.parse(this.history[this.index]));
+    return true;
+  }
+
+  /**
+   * Go forward one undone state.
+   * @returns {Promise<boolean>} false when there is nothing to redo
+   */
+  async redo() {
+    if (!this.canRedo) return false;
+    this.index++;
+    await this._restore(JSON.parse(this.history[this.index]));
+    return true;
+  }
+
+  /**
+   * Show a project (from a file or snapshot) as a new, undoable edit.
+   * @param {Object} project - From parseProject
+   */
+  async open(project) {
+    await this._restore(project);
+    this.record();
+  }
+
+  /**
+   * The project saved on the last visit, if any.
+   * @returns {Promise<Object|null>}
+   */
+  async loadAutosave() {
+    try {
+      const record = await get('projects', AUTOSAVE_ID);
+      return record ? parseProject(record.project) : null;
+    } catch (error) {
+      console.warn('Could not read the autosaved project', error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the current project under a name.
+   * @param {string} name
+   * @returns {Promise<Object>} The snapshot record { id, name, savedAt, project }
+   */
+  async saveSnapshot(name) {
+    const savedAt = new Date().toISOString();
+    const record = { id: `${SNAPSHOT_PREFIX}${Date.now()}`, name: name || savedAt, savedAt, project: this.current() };
+    await put('projects', record);
+    return record;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Snapshot records, newest first
+   */
+  async listSnapshots() {
+    const records = await getAll('projects');
+    return records
+      .filter(record => record.id.startsWith(SNAPSHOT_PREFIX))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * @param {string} id - Snapshot record id
+   */
+  async restoreSnapshot(id) {
+    const record = await get('projects', id);
+    if (!record) {
+      throw new Error('That snapshot no longer exists');
+    }
+    await this.open(parseProject(record.project));
+  }
+
+  /**
+   * @param {string} id - Snapshot record id
+   */
+  deleteSnapshot(id) {
+    return remove('projects', id);
+  }
+
+  /**
+   * The current project as a downloadable file.
+   * @returns {Blob}
+   */
+  toBlob() {
+    return new Blob([JSON.stringify(this.current(), null, 2) + '\n'], { type: 'application/json' });
+  }
+
+  /**
+   * Open a .streettype.json file.
+   * @param {File} file
+   * @throws {Error} When the file isn't a readable project
+   */
+  async importFile(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not a project file`);
+    }
+    await this.open(parseProject(data));
+  }
+
+  async _restore(project) {
+    this.restoring = true;
+    try {
+      await this.applyState(project);
+    } finally {
+      this.restoring = false;
+    }
+    this._autosave();
+    this._changed();
+  }
+
+  async _saveAutosave() {
+    try {
+      await put('projects', { id: AUTOSAVE_ID, savedAt: new Date().toISOString(), project: this.current() });
+    } catch (error) {
+      console.warn('Could not autosave the project', error);
+    }
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange();
+  }
+}
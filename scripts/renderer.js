@@ -1,6 +1,15 @@
 // scripts/renderer.js - FIXED VERSION
 // Handles both regular images and SVG data URLs
 
+import styleRegistry from './styleRegistry.js';
+import { addPngMetadata } from './utils.js';
+import imageCache from './imageCache.js';
+import config from './config.js';
+import LayoutEngine from './layoutEngine.js';
+import { createSvg, createPdf } from './vectorExport.js';
+import { applyAdjustments, adjustmentsKey, isNeutral, mergeAdjustments } from './imageAdjustments.js';
+import { createFallbackGlyph, samplePalette } from './fallbackGlyph.js';
+
 export default class VisualRenderer {
   /**
    * @param {string} containerId — ID of the DOM element to mount the canvas into
@@ -13,8 +22,29 @@ export default class VisualRenderer {
     this.letterHeight  = 60;
     this.canvas        = null;
     this.p5Instance    = null;
+    this.format        = config.defaults.canvasFormat; // Key into config.canvasFormats
+    this.letters       = [];   // Loaded letter-objects { type, value, img?, style?, locked? }
+    this.glyphBoxes    = [];   // Hit areas of the last draw: { index, x, y, width, height }
+    this.layoutEngine  = new LayoutEngine(config.layout);
+    this.onGlyphClick  = null; // Called with a glyph box when a glyph is clicked
+    this.onGlyphHover  = null; // Called with a glyph box, or null, as the pointer moves between glyphs
+    this.hoverIndex    = -1;
+    this.highlighted   = new Set(); // Glyph indices outlined on screen (not in exports)
+    this.exportOverlay = null; // (pixelWidth) → canvas or null, printed in the bottom-right corner of exports
+    this.glyphMode     = config.defaults.glyphMode; // 'tiles' | 'cutouts'
+    this.cutoutLoader  = null; // (path, options) → Promise<canvas> with the background removed
+    this.rawLetters    = [];   // Letter data last passed to renderLetters
+    this.letterVersion = 0;    // Bumped by renderLetters; photos loading for an older call are dropped
+    this.redrawQueued  = false;
+    this.cache         = imageCache; // Shared with the asset service, under "p5:" and "adjusted:" keys
+    this.imageIds      = new WeakMap(); // Photo, canvas or p5.Image → id used in its cache keys
+    this.nextImageId   = 1;
+    this.adjustments   = { ...config.adjustments.defaults }; // Applied to every photo
+    this.fallbackOptions = { ...config.fallbackGlyphs }; // { texture, distress } of stand-in glyphs
+    this.fallbackGlyphs = new Map();     // Glyph index, size and look → canvas
+    this.palettes      = new WeakMap();  // p5.Image → sign colors sampled from it
     
-    // Font settings for different styles
+    // Stand-in glyph colors per style, used when no photo is nearby to sample
     this.styleColors = {
       sans: { fill: '#3a7ca5', bg: '#f0f8ff' },
       serif: { fill: '#d63030', bg: '#fff0f0' },
@@ -25,7 +55,7 @@ export default class VisualRenderer {
     };
 
     // Will be wired up in initP5()
-    this._updateLetters = () => {};
+    this._loadLetter = async lt => ({ type: lt.type, value: lt.value });
 
     // Hidden link for export
     this.downloadLink = this._createDownloadLink();
@@ -53,13 +83,11 @@ export default class VisualRenderer {
     }
 
     this.p5Instance = new p5(p => {
-      // Our working array of letter-objects { type, value, url?, img? }
-      let letters = [];
-
-      // 1) Standard canvas setup
+      // 1) Standard canvas setup, sized to the poster format
       p.setup = () => {
+        const { width, height } = this._getCanvasSize(container);
         this.canvas = p
-          .createCanvas(container.offsetWidth, 400)
+          .createCanvas(width, height)
           .parent(this.containerId);
         p.textAlign(p.LEFT, p.TOP);
         p.textSize(16);
@@ -68,169 +96,439 @@ export default class VisualRenderer {
 
       // 2) Main draw loop
       p.draw = () => {
-        p.clear();
-        p.background(255);
+        this.glyphBoxes = this._drawComposition(p, p.width, p.height, p.pixelDensity());
+        
+        for (const box of this.glyphBoxes) {
+          if (!this.highlighted.has(box.index)) continue;
+          p.push();
+          p.noFill();
+          p.stroke(255, 59, 48);
+          p.strokeWeight(3);
+          p.rect(box.x - 3, box.y - 3, box.width + 6, box.height + 6);
+          p.pop();
+        }
+      };
+
+      // Draw the poster onto a p5 instance or graphics buffer. Coordinates are in
+      // screen canvas units; exports scale the target before calling this and
+      // pass the scale, so generated glyphs are drawn at full resolution.
+      // Returns the glyph hit boxes.
+      this._drawComposition = (g, width, height, pixelScale = 1) => {
+        g.clear();
+        g.background(255);
 
+        const letters = this.letters;
         if (letters.length === 0) {
           // placeholder
-          p.fill(150);
-          p.text('Generated text will appear here…', 20, p.height / 2);
-          return;
+          g.fill(150);
+          g.text('Generated text will appear here…', 20, height / 2);
+          return [];
         }
 
-        let x = 10, y = 20;
-        const maxW = p.width - 20;
+        const layout = this.computeLayout(width, height);
+        const boxes = [];
 
-        for (const lt of letters) {
+        for (const glyph of layout.glyphs) {
+          // Glyphs below the bottom margin don't fit this format
+          if (glyph.clipped) continue;
+          
+          // Hyphens added by line breaking belong to no letter
+          if (glyph.hyphen) {
+            this._drawSpecialChar(g, '-', glyph.x, glyph.y, glyph.width, glyph.height);
+            continue;
+          }
+          
+          const lt = letters[glyph.index];
+          const { x, y, width: w, height: h } = glyph;
           try {
-            if (lt.type === 'space') {
-              x += this.letterWidth + this.letterSpacing;
-            } else if (lt.type === 'letter' && lt.img) {
-              // Regular image - scale to consistent size
-              const imgWidth = lt.img.width;
-              const imgHeight = lt.img.height;
-              
-              // Handle aspect ratio to maintain the image proportions
-              let drawWidth = this.letterWidth;
-              let drawHeight = this.letterHeight;
-              
-              if (imgWidth / imgHeight > drawWidth / drawHeight) {
-                // Image is wider than our target ratio
-                drawHeight = drawWidth * (imgHeight / imgWidth);
-              } else {
-                // Image is taller than our target ratio
-                drawWidth = drawHeight * (imgWidth / imgHeight);
-              }
-              
-              // Center the image in the letter space
-              const offsetX = (this.letterWidth - drawWidth) / 2;
-              p.image(lt.img, x + offsetX, y, drawWidth, drawHeight);
-              x += this.letterWidth + this.letterSpacing;
+            // Every drawn glyph can be clicked
+            boxes.push({ index: glyph.index, x, y, width: w, height: h });
+            if (lt.locked) {
+              this._drawLockMarker(g, x, y, w, h);
+            }
+            
+            if (lt.type === 'letter' && lt.img) {
+              this._drawImageGlyph(g, this._getDisplayImage(lt), x, y, w, h);
             } else if (lt.type === 'special' || lt.type === 'placeholder') {
               // Handle special characters with style
-              this._drawSpecialChar(p, lt.value, x, y);
-              x += this.letterWidth + this.letterSpacing;
+              this._drawSpecialChar(g, lt.value, x, y, w, h);
             } else {
-              // Fallback to stylized text if no image
-              this._drawFallbackLetter(p, lt.value, x, y, lt.style || 'default');
-              x += this.letterWidth + this.letterSpacing;
-            }
-            
-            if (x > maxW) {
-              x = 10;
-              y += this.lineHeight;
+              // No photo: a generated glyph in the look of its neighbors
+              this._drawFallbackLetter(g, glyph.index, x, y, w, h, pixelScale);
             }
           } catch (error) {
             console.error('Error rendering letter:', error);
             // Continue with next letter
-            x += 20 + this.letterSpacing;
           }
         }
 
-        // expand height if needed
-        const neededH = y + this.lineHeight;
-        if (neededH > p.height) {
-          p.resizeCanvas(p.width, neededH);
+        if (layout.overflow) {
+          console.warn(`Text does not fit the ${this.format} format; some letters were left out`);
         }
+
+        return boxes;
       };
 
-      // Helper method to draw fallback letter
-      this._drawFallbackLetter = (p, char, x, y, style = 'default') => {
-        // Get style colors or use defaults
-        const styleKey = style.split('-')[0]; // Extract base style without case suffix
-        const styleData = this.styleColors[styleKey] || this.styleColors.default;
-        
-        // Draw background rectangle
-        p.fill(styleData.bg);
-        p.rect(x, y, this.letterWidth, this.letterHeight);
-        
-        // Draw letter
-        p.fill(styleData.fill);
-        p.textSize(36);
-        p.textAlign(p.CENTER, p.CENTER);
-        p.text(char, x + this.letterWidth/2, y + this.letterHeight/2);
-        
-        // Reset text settings
-        p.textAlign(p.LEFT, p.TOP);
-        p.textSize(16);
+      // Helper method to draw a photo scaled into its glyph box, keeping its proportions
+      this._drawImageGlyph = (g, img, x, y, w, h) => {
+        const rect = this._fitImage(img, { x, y, width: w, height: h });
+        g.image(img, rect.x, rect.y, rect.width, rect.height);
+      };
+
+      // Helper method to draw a generated stand-in for a letter without a photo
+      this._drawFallbackLetter = (g, index, x, y, w, h, pixelScale) => {
+        const glyph = this._getFallbackGlyph(index, w * pixelScale, h * pixelScale);
+        g.drawingContext.drawImage(glyph, x, y, w, h);
+      };
+      
+      // Helper method to outline a locked glyph
+      this._drawLockMarker = (p, x, y, w, h) => {
+        p.push();
+        p.noFill();
+        p.stroke(0, 116, 217);
+        p.strokeWeight(2);
+        p.rect(x - 2, y - 2, w + 4, h + 4);
+        p.pop();
       };
       
       // Helper method for special characters
-      this._drawSpecialChar = (p, char, x, y) => {
+      this._drawSpecialChar = (p, char, x, y, w, h) => {
         // Gray background for special characters
         p.fill(220);
-        p.rect(x, y, this.letterWidth, this.letterHeight);
+        p.rect(x, y, w, h);
         
         // Draw character
         p.fill(80);
-        p.textSize(36);
+        p.textSize(h * 0.6);
         p.textAlign(p.CENTER, p.CENTER);
-        p.text(char, x + this.letterWidth/2, y + this.letterHeight/2);
+        p.text(char, x + w/2, y + h/2);
         
         // Reset text settings
         p.textAlign(p.LEFT, p.TOP);
         p.textSize(16);
       };
 
-      // 3) The function we'll call from outside
-      //    It takes an array of {type, value, url?}, loads each url into a p5.Image, then redraws.
-      this._updateLetters = async raw => {
-        const loaded = [];
-        for (const lt of raw) {
-          if (lt.type === 'letter' && lt.url) {
-            try {
-              // IMPROVEMENT: Check if URL is actually an SVG data URL
-              if (lt.url.startsWith('data:image/svg+xml')) {
-                // For SVG data URLs, don't try to load as image - use fallback rendering
-                loaded.push({ 
-                  type: 'letter', 
-                  value: lt.value,
-                  style: this._getStyleFromPath(lt.url)
-                });
-                continue;
-              }
-              
-              // For regular URLs, load as image
-              const img = await new Promise(res => 
-                p.loadImage(
-                  lt.url,
-                  img => res(img),
-                  _  => res(null)
-                )
-              );
-              
-              if (img) {
-                loaded.push({ type: 'letter', value: lt.value, img });
-              } else {
-                // Image loading failed
-                loaded.push({ 
-                  type: 'letter', 
-                  value: lt.value,
-                  style: this._getStyleFromPath(lt.url)
-                });
-              }
-            } catch (error) {
-              console.error('Error loading image:', error);
-              loaded.push({ 
-                type: 'letter', 
-                value: lt.value,
-                style: this._getStyleFromPath(lt.url)
-              });
-            }
-          } else {
-            loaded.push({ type: lt.type, value: lt.value });
-          }
+      // Clicks on a glyph open the variant picker via onGlyphClick
+      p.mouseClicked = () => {
+        if (!this.onGlyphClick || !this.canvas) return;
+        if (p.mouseX < 0 || p.mouseY < 0 || p.mouseX > p.width || p.mouseY > p.height) return;
+        
+        const box = this.hitTest(p.mouseX, p.mouseY);
+        if (!box) return;
+        
+        this.onGlyphClick(this._withClientPosition(box));
+      };
+
+      // Show that glyphs are clickable, and report which one is under the pointer
+      p.mouseMoved = () => {
+        const inside = this.canvas && p.mouseX >= 0 && p.mouseY >= 0 && p.mouseX <= p.width && p.mouseY <= p.height;
+        const box = inside ? this.hitTest(p.mouseX, p.mouseY) : null;
+        if (inside) {
+          p.cursor(box && this.onGlyphClick ? p.HAND : p.ARROW);
+        }
+
+        const index = box ? box.index : -1;
+        if (this.onGlyphHover && index !== this.hoverIndex) {
+          this.hoverIndex = index;
+          this.onGlyphHover(box ? this._withClientPosition(box) : null);
+        }
+      };
+
+      // Report page coordinates too, for positioning DOM overlays
+      this._withClientPosition = box => {
+        const rect = this.canvas.elt.getBoundingClientRect();
+        const scaleX = rect.width / p.width;
+        const scaleY = rect.height / p.height;
+        return {
+          ...box,
+          clientX: rect.left + box.x * scaleX,
+          clientY: rect.top + (box.y + box.height) * scaleY,
+          clientRight: rect.left + (box.x + box.width) * scaleX,
+          clientTop: rect.top + box.y * scaleY
+        };
+      };
+
+      // Background-removed version of a photo as a p5.Image, or null to use the tile
+      this._loadCutout = async lt => {
+        if (!this.cutoutLoader) return null;
+        try {
+          return this._toP5Image(await this.cutoutLoader(lt.url, lt.cutout));
+        } catch (error) {
+          console.warn(`Cutout failed for ${lt.url}; drawing the photo as a tile`, error);
+          return null;
+        }
+      };
+
+      // A p5.Image over a photo or canvas that is already loaded, so the
+      // renderer shares the asset service's loads instead of fetching again
+      this._toP5Image = source => {
+        const key = `p5:${this._imageId(source)}`;
+        let img = this.cache.get(key);
+        if (!img) {
+          img = p.createImage(source.naturalWidth || source.width, source.naturalHeight || source.height);
+          img.drawingContext.drawImage(source, 0, 0);
+          this.cache.set(key, img);
+        }
+        return img;
+      };
+
+      // 3) Load one letter-object {type, value, url?, image?} into what the draw loop uses
+      this._loadLetter = async lt => {
+        if (lt.type !== 'letter' || !lt.url) {
+          return { type: lt.type, value: lt.value };
+        }
+        
+        // No photo: SVG stand-ins and failed loads are drawn as generated glyphs
+        const standIn = { type: 'letter', value: lt.value, style: lt.style || this._getStyleFromPath(lt.url) };
+        if (lt.url.startsWith('data:image/svg+xml')) {
+          return standIn;
+        }
+        
+        try {
+          // The selector's image when it has one, otherwise load the url (or its cutout in cutout mode)
+          const cutout = this.glyphMode === 'cutouts' ? await this._loadCutout(lt) : null;
+          const img = cutout || (lt.image ? this._toP5Image(lt.image) : await new Promise(res =>
+            p.loadImage(
+              lt.url,
+              img => res(img),
+              _  => res(null)
+            )
+          ));
+          if (!img) return standIn;
+          
+          // Photo size drives the glyph's advance width in the layout
+          const metrics = lt.metrics || { width: img.width, height: img.height };
+          return { type: 'letter', value: lt.value, img, url: lt.url, metrics, cutout: !!cutout };
+        } catch (error) {
+          console.error('Error loading image:', error);
+          return standIn;
         }
-        letters = loaded;
-        p.redraw();
       };
     });
   }
   
+  /**
+   * Lay out the current letters on a canvas of the given size, inside the
+   * format's margins. The canvas, the PNG export and the vector exports all
+   * draw from this result.
+   * @param {number} width - Canvas width in screen units
+   * @param {number} height - Canvas height in screen units
+   * @returns {Object} LayoutEngine result
+   */
+  computeLayout(width, height) {
+    const margin = Math.round(Math.min(width, height) * config.poster.margin);
+    const frame = { x: margin, y: margin, width: width - 2 * margin, height: height - 2 * margin };
+    
+    // The base metrics follow the size toggle; fit mode scales them to the frame
+    this.layoutEngine.setOptions({
+      letterWidth: this.letterWidth,
+      letterHeight: this.letterHeight,
+      letterSpacing: this.letterSpacing,
+      lineHeight: this.lineHeight
+    });
+    return this.layoutEngine.layout(this.letters, frame);
+  }
+  
+  /**
+   * Describe the current poster as drawable items for vector exports.
+   * Photos are embedded as data URLs of the images the canvas draws.
+   * @returns {Object} { width, height, physicalWidth, physicalHeight, background, items }
+   *   Items are { kind: 'image', x, y, width, height, src, mimeType, char }
+   *   or { kind: 'glyph', x, y, width, height, char, fill, bg, stroke }
+   */
+  getScene() {
+    const p = this.p5Instance;
+    const format = config.canvasFormats[this.format];
+    const layout = this.computeLayout(p.width, p.height);
+    const pixelScale = this.getExportSize().width / p.width;
+    const items = [];
+    
+    for (const glyph of layout.glyphs) {
+      if (glyph.clipped) continue;
+      
+      const lt = glyph.hyphen ? { type: 'special', value: '-' } : this.letters[glyph.index];
+      const box = { x: glyph.x, y: glyph.y, width: glyph.width, height: glyph.height };
+      
+      if (lt.type === 'letter' && lt.img) {
+        // Keep cutouts and PNG sources lossless (they may carry transparency)
+        const mimeType = lt.cutout || (lt.url && /\.png$/i.test(lt.url)) ? 'image/png' : 'image/jpeg';
+        const img = this._getDisplayImage(lt);
+        items.push({
+          kind: 'image',
+          ...this._fitImage(img, box),
+          src: img.canvas.toDataURL(mimeType, 0.92),
+          mimeType,
+          char: lt.value
+        });
+      } else if (lt.type === 'special' || lt.type === 'placeholder') {
+        items.push({ kind: 'glyph', ...box, char: lt.value, fill: '#505050', bg: '#dcdcdc', stroke: '#000000' });
+      } else {
+        // The same generated glyph as on screen, at print resolution
+        const glyphCanvas = this._getFallbackGlyph(glyph.index, box.width * pixelScale, box.height * pixelScale);
+        items.push({
+          kind: 'image',
+          ...box,
+          src: glyphCanvas.toDataURL('image/png'),
+          mimeType: 'image/png',
+          char: lt.value
+        });
+      }
+    }
+    this.fallbackGlyphs.clear(); // Don't keep print-size glyphs around
+    
+    const overlay = this._getExportOverlay(pixelScale);
+    if (overlay) {
+      items.push({
+        kind: 'image',
+        x: overlay.x,
+        y: overlay.y,
+        width: overlay.width,
+        height: overlay.height,
+        src: overlay.canvas.toDataURL('image/png'),
+        mimeType: 'image/png',
+        char: 'Map legend'
+      });
+    }
+    
+    return {
+      width: p.width,
+      height: p.height,
+      physicalWidth: format.width,
+      physicalHeight: format.height,
+      background: '#ffffff',
+      items
+    };
+  }
+  
+  /**
+   * Generated glyph for a letter without a photo, at a pixel size. Its colors
+   * are sampled from the nearest photo in the text, so it reads as one more
+   * sign; with no photos around it uses its style's colors. Cached per size
+   * until the letters change.
+   * @param {number} index - Glyph index into this.letters
+   * @param {number} pixelWidth
+   * @param {number} pixelHeight
+   * @returns {HTMLCanvasElement}
+   */
+  _getFallbackGlyph(index, pixelWidth, pixelHeight) {
+    const lt = this.letters[index];
+    const width = Math.round(pixelWidth);
+    const height = Math.round(pixelHeight);
+    const key = `${index}|${width}x${height}`;
+    
+    if (!this.fallbackGlyphs.has(key)) {
+      const style = (lt.style || 'default').split('-')[0];
+      this.fallbackGlyphs.set(key, createFallbackGlyph(lt.value, {
+        width,
+        height,
+        style,
+        colors: this._getNeighborPalette(index) || this.styleColors[style] || this.styleColors.default,
+        texture: this.fallbackOptions.texture,
+        distress: this.fallbackOptions.distress,
+        seed: `${index}:${lt.value}`
+      }));
+    }
+    return this.fallbackGlyphs.get(key);
+  }
+  
+  /**
+   * Sign colors of the photo letter closest to a position (left side first).
+   * @returns {{bg: string, fill: string}|null}
+   */
+  _getNeighborPalette(index) {
+    for (let distance = 1; distance < this.letters.length; distance++) {
+      for (const neighbor of [this.letters[index - distance], this.letters[index + distance]]) {
+        if (!neighbor || !neighbor.img || !neighbor.img.canvas) continue;
+        
+        if (!this.palettes.has(neighbor.img)) {
+          this.palettes.set(neighbor.img, samplePalette(neighbor.img.canvas));
+        }
+        const palette = this.palettes.get(neighbor.img);
+        if (palette) return palette;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * The image to draw for a photo letter: its loaded p5.Image with the
+   * composition's and the letter's own adjustments applied. Adjusted copies
+   * are cached per source image and settings, so redraws don't redo the work
+   * (in the shared cache, so they count against its budget).
+   * @param {Object} lt - Loaded letter with `img` and optional `adjustments`
+   * @returns {p5.Image}
+   */
+  _getDisplayImage(lt) {
+    const adjustments = mergeAdjustments(this.adjustments, lt.adjustments);
+    if (isNeutral(adjustments)) return lt.img;
+    
+    const key = `adjusted:${this._imageId(lt.img)}|${adjustmentsKey(adjustments)}`;
+    let adjusted = this.cache.get(key);
+    if (!adjusted) {
+      const canvas = applyAdjustments(lt.img.canvas, adjustments);
+      adjusted = this.p5Instance.createImage(canvas.width, canvas.height);
+      adjusted.drawingContext.drawImage(canvas, 0, 0);
+      this.cache.set(key, adjusted);
+    }
+    return adjusted;
+  }
+  
+  // Images have no names of their own; number them for cache keys
+  _imageId(image) {
+    if (!this.imageIds.has(image)) {
+      this.imageIds.set(image, this.nextImageId++);
+    }
+    return this.imageIds.get(image);
+  }
+  
+  /**
+   * Rectangle a photo occupies inside its glyph box, keeping its proportions
+   * and centered.
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  _fitImage(img, box) {
+    let width = box.width;
+    let height = box.height;
+    
+    if (img.width / img.height > box.width / box.height) {
+      // Image is wider than our target ratio
+      height = box.width * (img.height / img.width);
+    } else {
+      // Image is taller than our target ratio
+      width = box.height * (img.width / img.height);
+    }
+    
+    return {
+      x: box.x + (box.width - width) / 2,
+      y: box.y + (box.height - height) / 2,
+      width,
+      height
+    };
+  }
+  
+  /**
+   * Find the glyph drawn at a canvas position.
+   * @param {number} x - Canvas x coordinate
+   * @param {number} y - Canvas y coordinate
+   * @returns {Object|null} The glyph box { index, x, y, width, height }
+   */
+  hitTest(x, y) {
+    return this.glyphBoxes.find(box =>
+      x >= box.x && x <= box.x + box.width &&
+      y >= box.y && y <= box.y + box.height
+    ) || null;
+  }
+  
   /**
    * Extract style information from path string
    */
   _getStyleFromPath(path) {
+    // Asset paths carry the style folder; let the registry resolve its aliases
+    if (!path.startsWith('data:')) {
+      const styleKey = styleRegistry.styleFromPath(path);
+      if (styleKey) return styleKey;
+    }
+    
     // Try to identify style from path
     if (path.includes('sans')) return 'sans';
     if (path.includes('serif')) return 'serif';
@@ -242,38 +540,318 @@ export default class VisualRenderer {
 
   /**
    * Call this with an array of plain letter-objects:
-   *   [{ type:'letter'|'space', value: string, url?: string }, …]
+   *   [{ type:'letter'|'space'|'placeholder', value: string, url?: string, image? }, …]
+   * The poster is drawn right away, with placeholders where photos are still
+   * loading, and each photo is drawn in as it arrives.
+   * @returns {Promise} Settles once every photo has loaded (or failed)
    */
   renderLetters(letterData) {
     if (!this.p5Instance) {
       console.error('P5 not initialized');
       return;
     }
-    this._updateLetters(letterData);
+    // The glyph under the pointer may be about to change
+    if (this.hoverIndex >= 0 && this.onGlyphHover) {
+      this.hoverIndex = -1;
+      this.onGlyphHover(null);
+    }
+    return this._updateLetters(letterData);
+  }
+  
+  /**
+   * Replace one letter of the current poster, e.g. when a placeholder's photo
+   * has been picked.
+   * @param {number} index - Position in the array passed to renderLetters
+   * @param {Object} letterData - Plain letter-object, as for renderLetters
+   * @returns {Promise}
+   */
+  updateLetter(index, letterData) {
+    if (!this.p5Instance || index < 0 || index >= this.rawLetters.length) {
+      return Promise.resolve();
+    }
+    this.rawLetters[index] = letterData;
+    this.letters[index] = this._pendingLetter(letterData);
+    this._redrawSoon();
+    return this._loadInto(index, letterData, this.letterVersion);
+  }
+  
+  _updateLetters(raw) {
+    const version = ++this.letterVersion;
+    this.rawLetters = raw.slice();
+    this.letters = raw.map(lt => this._pendingLetter(lt));
+    this.fallbackGlyphs.clear();
+    this._redrawSoon();
+    return Promise.all(raw.map((lt, index) => this._loadInto(index, lt, version)));
+  }
+  
+  // What to draw for a letter until its photo is loaded
+  _pendingLetter(lt) {
+    const waiting = lt.type === 'letter' && lt.url && !lt.url.startsWith('data:image/svg+xml');
+    const pending = waiting
+      ? { type: 'placeholder', value: lt.value, metrics: lt.metrics || null }
+      : { type: lt.type, value: lt.value };
+    return this._withLetterState(pending, lt);
+  }
+  
+  // Keep the lock state and per-letter adjustments of each position for drawing
+  _withLetterState(loaded, lt) {
+    return { ...loaded, locked: !!lt.locked, adjustments: lt.adjustments || null };
+  }
+  
+  async _loadInto(index, lt, version) {
+    const loaded = await this._loadLetter(lt);
+    // A newer renderLetters or updateLetter took this position over
+    if (version !== this.letterVersion || this.rawLetters[index] !== lt) return;
+    
+    this.letters[index] = this._withLetterState(loaded, lt);
+    this.fallbackGlyphs.clear(); // Stand-ins take their colors from neighboring photos
+    this._redrawSoon();
+  }
+  
+  // Draw once per frame however many photos arrived in it
+  _redrawSoon() {
+    if (this.redrawQueued) return;
+    this.redrawQueued = true;
+    requestAnimationFrame(() => {
+      this.redrawQueued = false;
+      if (this.p5Instance) this.p5Instance.redraw();
+    });
+  }
+
+  /**
+   * Export the poster as a PNG at print resolution for the current format.
+   * @param {string} [filename] - Download file name
+   * @param {Object} [metadata] - Text metadata to embed in the PNG (e.g. the seed)
+   * @returns {Promise} Settles once the download has started
+   */
+  async exportAsImage(filename = 'streettype.png', metadata = {}) {
+    if (!this.canvas) {
+      console.error('Canvas not ready');
+      return;
+    }
+    
+    const { width, height, dpi } = this.getExportSize();
+    const p = this.p5Instance;
+    // Graphics start at the screen's pixel density; set it to 1 while the
+    // buffer is tiny, so a 2× screen never allocates four times the export
+    const g = p.createGraphics(1, 1);
+    
+    try {
+      g.pixelDensity(1);
+      g.resizeCanvas(width, height, true);
+      
+      // Redraw the same layout, scaled up from screen units to print pixels
+      g.scale(width / p.width);
+      this._drawComposition(g, p.width, p.height, width / p.width);
+      
+      const overlay = this._getExportOverlay(width / p.width);
+      if (overlay) {
+        g.drawingContext.drawImage(overlay.canvas, overlay.x, overlay.y, overlay.width, overlay.height);
+      }
+      
+      const blob = await new Promise(resolve => g.elt.toBlob(resolve, 'image/png'));
+      if (!blob) {
+        throw new Error(`Could not encode a ${width}×${height} PNG`);
+      }
+      const png = addPngMetadata(new Uint8Array(await blob.arrayBuffer()), metadata, dpi);
+      this._downloadBlob(new Blob([png], { type: 'image/png' }), filename);
+    } finally {
+      g.remove();
+      this.fallbackGlyphs.clear();
+    }
+  }
+  
+  /**
+   * Place the export overlay in the bottom-right corner, inside the frame margin.
+   * @param {number} pixelScale - Export pixels per screen canvas unit
+   * @returns {{canvas: HTMLCanvasElement, x: number, y: number, width: number, height: number}|null}
+   *   Position in screen canvas units, or null when there is no overlay
+   */
+  _getExportOverlay(pixelScale) {
+    if (!this.exportOverlay) return null;
+    
+    const p = this.p5Instance;
+    const width = p.width * config.poster.overlayWidth;
+    const canvas = this.exportOverlay(Math.round(width * pixelScale));
+    if (!canvas) return null;
+    
+    const height = (width * canvas.height) / canvas.width;
+    const margin = Math.min(p.width, p.height) * config.poster.margin;
+    return { canvas, x: p.width - margin - width, y: p.height - margin - height, width, height };
+  }
+  
+  /**
+   * Where a glyph was last drawn, with page coordinates for DOM overlays.
+   * @param {number} index - Glyph index
+   * @returns {Object|null} Glyph box with clientX/clientY/clientRight/clientTop
+   */
+  getGlyphBox(index) {
+    const box = this.glyphBoxes.find(b => b.index === index);
+    return box && this.canvas ? this._withClientPosition(box) : null;
+  }
+  
+  /**
+   * Outline glyphs on screen, e.g. the letters behind a hovered map marker.
+   * @param {number[]} indices - Glyph indices; empty to clear
+   */
+  setHighlight(indices) {
+    this.highlighted = new Set(indices);
+    if (this.p5Instance) this.p5Instance.redraw();
+  }
+  
+  /**
+   * Pixel size of a print export: the format's physical size at the export DPI,
+   * reduced when it would exceed the browser-safe pixel budget.
+   * @returns {{width: number, height: number, dpi: number}}
+   */
+  getExportSize() {
+    const format = config.canvasFormats[this.format];
+    let dpi = config.poster.exportDpi;
+    
+    const pixels = format.width * dpi * format.height * dpi;
+    if (pixels > config.poster.maxExportPixels) {
+      dpi = Math.floor(dpi * Math.sqrt(config.poster.maxExportPixels / pixels));
+      console.warn(`Export of ${this.format} reduced to ${dpi} DPI to stay within the canvas size limit`);
+    }
+    
+    return {
+      width: Math.round(format.width * dpi),
+      height: Math.round(format.height * dpi),
+      dpi
+    };
   }
 
   /**
-   * Export canvas as PNG.
+   * Export the poster as an SVG at the format's physical size.
+   * @param {string} [filename] - Download file name
+   * @param {Object} [metadata] - Key/value pairs written to the SVG description
    */
-  exportAsImage() {
+  exportAsSvg(filename = 'streettype.svg', metadata = {}) {
     if (!this.canvas) {
       console.error('Canvas not ready');
       return;
     }
-    const dataURL = this.canvas.elt.toDataURL('image/png');
-    this.downloadLink.href = dataURL;
+
+    const svg = createSvg(this.getScene(), metadata);
+    this._downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), filename);
+  }
+
+  /**
+   * Export the poster as a single-page PDF at the format's physical size.
+   * @param {string} [filename] - Download file name
+   * @param {Object} [metadata] - Key/value pairs written to the PDF document info
+   * @returns {Promise<void>}
+   */
+  async exportAsPdf(filename = 'streettype.pdf', metadata = {}) {
+    if (!this.canvas) {
+      console.error('Canvas not ready');
+      return;
+    }
+
+    const pdf = await createPdf(this.getScene(), metadata);
+    this._downloadBlob(pdf, filename);
+  }
+
+  /**
+   * Download a Blob through the hidden download link.
+   */
+  _downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    this.downloadLink.download = filename;
+    this.downloadLink.href = url;
     this.downloadLink.click();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Switch the poster format (a key of config.canvasFormats) and refit the canvas.
+   * @param {string} formatKey
+   */
+  setFormat(formatKey) {
+    if (!config.canvasFormats[formatKey]) {
+      console.error(`Unknown canvas format: ${formatKey}`);
+      return;
+    }
+    this.format = formatKey;
+    this._handleResize();
+  }
+  
+  /**
+   * Largest canvas with the format's aspect ratio that fits the container.
+   */
+  _getCanvasSize(container) {
+    const { aspectRatio } = config.canvasFormats[this.format];
+    const availableW = container.clientWidth;
+    const availableH = container.clientHeight || availableW / aspectRatio;
+    
+    let width = availableW;
+    let height = width / aspectRatio;
+    if (height > availableH) {
+      height = availableH;
+      width = height * aspectRatio;
+    }
+    
+    return { width: Math.floor(width), height: Math.floor(height) };
   }
 
   _handleResize() {
     if (!this.p5Instance || !this.canvas) return;
     const container = document.getElementById(this.containerId);
-    const newW = container.offsetWidth;
-    const newH = this.canvas.height;
-    this.p5Instance.resizeCanvas(newW, newH);
+    const { width, height } = this._getCanvasSize(container);
+    this.fallbackGlyphs.clear(); // Cached per pixel size, which just changed
+    this.p5Instance.resizeCanvas(width, height);
     this.p5Instance.redraw();
   }
 
+  /**
+   * Change layout mode and alignment, then redraw.
+   * @param {Object} options - Any of { mode, align, verticalAlign }
+   */
+  setLayoutOptions(options) {
+    this.layoutEngine.setOptions(options);
+    if (this.p5Instance) {
+      this.p5Instance.redraw();
+    }
+  }
+
+  /**
+   * Draw photos as rectangular tiles or as background-free cutouts.
+   * Reloads the current letters; cutouts need a cutoutLoader.
+   * @param {string} mode - 'tiles' | 'cutouts'
+   */
+  setGlyphMode(mode) {
+    if (mode === this.glyphMode) return;
+    this.glyphMode = mode;
+    if (this.p5Instance && this.rawLetters.length > 0) {
+      this._updateLetters(this.rawLetters);
+    }
+  }
+
+  /**
+   * Change the look of generated stand-in glyphs and redraw.
+   * @param {Object} options - Any of { texture, distress }, each 0 … 1
+   */
+  setFallbackOptions(options) {
+    Object.assign(this.fallbackOptions, options);
+    this.fallbackGlyphs.clear();
+    if (this.p5Instance) {
+      this.p5Instance.redraw();
+    }
+  }
+
+  /**
+   * Update the adjustments applied to every photo and redraw.
+   * Per-letter `adjustments` on letter data are layered on top.
+   * @param {Object} adjustments - Partial settings (see imageAdjustments.js)
+   */
+  setAdjustments(adjustments) {
+    Object.assign(this.adjustments, adjustments);
+    if (this.p5Instance) {
+      this.p5Instance.redraw();
+    }
+  }
+
   setLetterSpacing(n) { this.letterSpacing = n; }
   setLineHeight(n)    { this.lineHeight    = n; }
   
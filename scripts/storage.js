@@ -0,0 +1,91 @@
+// storage.js
+// Small promise wrapper around the browser's IndexedDB for data kept between visits
+
+const DB_NAME = 'streettype';
+const DB_VERSION = 2; // 2: projects
+
+// Object stores and their key paths
+const STORES = {
+  assetPack: 'relativePath', // Letter photos saved from the contribution panel
+  projects: 'id'              // The autosaved project and named snapshots
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the app database once.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [name, keyPath] of Object.entries(STORES)) {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath });
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request against a store inside its own transaction.
+ */
+async function withStore(storeName, mode, createRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * @param {string} storeName
+ * @returns {Promise<Object[]>} Every record in the store
+ */
+export function getAll(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * @param {string} storeName
+ * @param {*} key
+ * @returns {Promise<Object|undefined>}
+ */
+export function get(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Insert or replace a record.
+ * @param {string} storeName
+ * @param {Object} value - Must carry the store's key path
+ */
+export function put(storeName, value) {
+  return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * @param {string} storeName
+ * @param {*} key
+ */
+export function remove(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,189 @@
+// styleRegistry.js
+// Maps UI style keys to the style folder names actually used on disk
+import config from './config.js';
+
+/**
+ * Registry of font styles: UI key, display label and folder aliases.
+ * Resolves folder names such as "sans-upper" or "Script:Handwriting-lower"
+ * back to a { styleKey, caseType } pair, and builds candidate folder names
+ * for a style when probing without a manifest.
+ */
+class StyleRegistry {
+  /**
+   * @param {Object[]} styles - Entries of { value, label, folders }
+   * @param {Object} options
+   * @param {Object} [options.caseFolders] - caseType → list of folder suffixes
+   * @param {string[]} [options.alphabetFolders] - Letter folder names in a city pack
+   * @param {string} [options.defaultStyle] - Style used for direct "random" lookups
+   */
+  constructor(styles = [], options = {}) {
+    this.styles = new Map();
+    this.aliasIndex = new Map(); // lowercase folder alias → style key
+    this.caseFolders = options.caseFolders || { upper: ['upper'], lower: ['lower'] };
+    this.alphabetFolders = options.alphabetFolders || ['alphabet'];
+    this.defaultStyle = options.defaultStyle || 'sans';
+
+    styles.forEach(style => this.register(style));
+  }
+
+  /**
+   * Add or replace a style.
+   * @param {Object} style - { value, label, folders }
+   */
+  register(style) {
+    if (!style || !style.value) {
+      throw new Error('Style entries need a value');
+    }
+
+    const entry = {
+      value: style.value,
+      label: style.label || style.value,
+      folders: style.folders && style.folders.length > 0 ? [...style.folders] : [style.value]
+    };
+
+    this.styles.set(entry.value, entry);
+    this.aliasIndex.set(entry.value.toLowerCase(), entry.value);
+    for (const alias of entry.folders) {
+      this.aliasIndex.set(alias.toLowerCase(), entry.value);
+    }
+  }
+
+  /**
+   * Look up a style by UI key. Random mix picks a style per letter upstream,
+   * so a direct "random" lookup resolves to the default style.
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  getStyle(key) {
+    if (key === 'random') {
+      return this.styles.get(this.defaultStyle) || null;
+    }
+    return this.styles.get(key) || null;
+  }
+
+  /**
+   * @returns {string[]} All registered UI keys, in registration order
+   */
+  getKeys() {
+    return [...this.styles.keys()];
+  }
+
+  /**
+   * @returns {Object[]} All registered styles, in registration order
+   */
+  getStyles() {
+    return [...this.styles.values()];
+  }
+
+  /**
+   * Match the style part of a folder name ("sans", "Display:Decorative") to a key.
+   * @param {string} name
+   * @returns {string|null}
+   */
+  matchStyle(name) {
+    const lower = name.toLowerCase();
+    if (this.aliasIndex.has(lower)) {
+      return this.aliasIndex.get(lower);
+    }
+
+    // "Category:Name" folders match on either part
+    if (lower.includes(':')) {
+      for (const part of lower.split(':')) {
+        if (this.aliasIndex.has(part)) {
+          return this.aliasIndex.get(part);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Match a case suffix ("upper", "Lowercase") to a case type.
+   * @param {string} suffix
+   * @returns {string|null} "upper", "lower" or null
+   */
+  matchCase(suffix) {
+    const lower = suffix.toLowerCase();
+    for (const [caseType, aliases] of Object.entries(this.caseFolders)) {
+      if (aliases.some(alias => alias.toLowerCase() === lower)) {
+        return caseType;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a style folder name into its style key and case type.
+   * @param {string} folderName - e.g. "sans-upper", "Script:Handwriting-lower"
+   * @returns {{styleKey: string, caseType: string}|null}
+   */
+  parseFolder(folderName) {
+    const dash = folderName.lastIndexOf('-');
+    if (dash <= 0) return null;
+
+    const caseType = this.matchCase(folderName.slice(dash + 1));
+    const styleKey = this.matchStyle(folderName.slice(0, dash));
+    if (!caseType || !styleKey) return null;
+
+    return { styleKey, caseType };
+  }
+
+  /**
+   * Find the style key of an asset path from its style folder segment.
+   * @param {string} path
+   * @returns {string|null}
+   */
+  styleFromPath(path) {
+    for (const segment of path.split('/')) {
+      let name = segment;
+      try {
+        name = decodeURIComponent(segment);
+      } catch (error) {
+        // A stray "%" in a user folder or pack name: use the segment as is
+      }
+      const parsed = this.parseFolder(name);
+      if (parsed) return parsed.styleKey;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a folder name belongs to the given style and case.
+   */
+  folderMatches(folderName, styleKey, caseType) {
+    const style = this.getStyle(styleKey);
+    const parsed = this.parseFolder(folderName);
+    return !!(style && parsed && parsed.styleKey === style.value && parsed.caseType === caseType);
+  }
+
+  /**
+   * Every folder name a style/case combination may use on disk.
+   * @param {string} styleKey
+   * @param {string} caseType - "upper" or "lower"
+   * @returns {string[]} e.g. ["decorative-upper", "display-upper", "Display:Decorative-upper", …]
+   */
+  getFolderCandidates(styleKey, caseType) {
+    const style = this.getStyle(styleKey);
+    if (!style) return [];
+
+    const suffixes = this.caseFolders[caseType] || [caseType];
+    const candidates = [];
+    for (const folder of style.folders) {
+      for (const suffix of suffixes) {
+        candidates.push(`${folder}-${suffix}`);
+      }
+    }
+    return candidates;
+  }
+}
+
+// Export a singleton instance built from the app configuration
+const styleRegistry = new StyleRegistry(config.fontStyles, {
+  caseFolders: config.caseFolders,
+  alphabetFolders: config.alphabetFolders,
+  defaultStyle: config.defaults.fontStyle
+});
+
+export { StyleRegistry };
+export default styleRegistry;
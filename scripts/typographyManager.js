@@ -1,7 +1,7 @@
 // typographyManager.js
-import assetManager from './assetManager.js';
-import letterGenerator from './letterGenerator.js';
-import { createLogger, generateFallbackLetterSVG } from './utils.js';
+import assetService from './assetService.js';
+import styleRegistry from './styleRegistry.js';
+import { createLogger } from './utils.js';
 import config from './config.js';
 
 // Create logger
@@ -13,8 +13,7 @@ const logger = createLogger('Typography', config.debug.enabled);
 class TypographyManager {
   constructor() {
     this.initialized = false;
-    this.assetManager = assetManager;
-    this.letterGenerator = letterGenerator;
+    this.assets = assetService;
   }
   
   /**
@@ -24,10 +23,10 @@ class TypographyManager {
     if (this.initialized) return true;
     
     try {
-      // Initialize asset manager
-      const assetsReady = await this.assetManager.initialize();
-      if (!assetsReady) {
-        logger.warn('Asset manager initialized but could not find asset paths - using fallback mode');
+      // Wait for the asset service to find its manifest or asset folders
+      await this.assets.ready;
+      if (!this.assets.assetsDetected) {
+        logger.warn('Asset service initialized but could not find any assets - using fallback mode');
       }
       
       // Pre-warm the cache with a few common letters
@@ -61,20 +60,29 @@ class TypographyManager {
   
   /**
    * Load a letter with fallbacks
+   * @param {string} city - City code
+   * @param {string} style - Style folder name, e.g. "sans-upper"
+   * @param {string} letter - Character
+   * @param {string} variant - Two-digit variant number
+   * @returns {Promise<Object>} { src, width, height, isFallback }
    */
   async loadLetter(city, style, letter, variant = '01') {
+    const parsed = styleRegistry.parseFolder(style);
+    const styleKey = parsed ? parsed.styleKey : style;
+    
     try {
-      // Try to load from asset manager first
-      const letterAsset = await this.assetManager.loadLetter(city, style, letter, variant);
-      return letterAsset;
+      const variants = await this.assets.resolveVariants(letter, styleKey, city, true);
+      if (variants.length === 0) {
+        return this.assets.getFallback(letter, style);
+      }
+      
+      // Variant numbers past the last photo wrap around
+      const index = (Math.max(1, parseInt(variant, 10) || 1) - 1) % variants.length;
+      const img = await this.assets.loadImage(variants[index]);
+      return { src: variants[index], width: img.naturalWidth, height: img.naturalHeight, isFallback: false };
     } catch (error) {
       logger.warn(`Could not load letter "${letter}" from assets, using generator instead`);
-      
-      // Use the letter generator as fallback
-      return this.letterGenerator.generateLetter(letter, style, {
-        variant,
-        city
-      });
+      return this.assets.getFallback(letter, style);
     }
   }
   
@@ -158,10 +166,7 @@ class TypographyManager {
           .catch(error => {
             logger.warn(`Error loading letter "${char}":`, error);
             // Return SVG fallback on error
-            return { 
-              src: generateFallbackLetterSVG(char, opts.style),
-              isFallback: true
-            };
+            return this.assets.getFallback(char, opts.style);
           })
       );
     }
@@ -192,8 +197,7 @@ class TypographyManager {
    */
   getStats() {
     return {
-      assetManager: this.assetManager.getStats(),
-      letterGenerator: this.letterGenerator.getStats(),
+      assets: this.assets.getStats(),
       initialized: this.initialized
     };
   }
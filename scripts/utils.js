@@ -43,6 +43,78 @@ export function debounce(fn, wait, immediate = false) {
   };
 }
 
+/**
+ * Run async tasks with at most `limit` of them in flight at once.
+ * @param {Function[]} tasks - Functions returning promises
+ * @param {number} limit - Maximum tasks running at the same time
+ * @returns {Promise<Array>} Results in task order; rejects on the first failure
+ */
+export async function runLimited(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, tasks.length)) }, worker));
+  return results;
+}
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a).
+ * @param {string} str - The string to hash
+ * @returns {number} 32-bit hash
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence.
+ * @param {string|number} seed - Any seed value
+ * @returns {Function} Generator returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = hashString(String(seed));
+  return function() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a short, human-readable random seed.
+ * @returns {string} Six uppercase base-36 characters
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0').toUpperCase();
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates).
+ * @param {Array} array - Items to shuffle
+ * @param {Function} [random=Math.random] - Random source returning [0, 1)
+ * @returns {Array} New shuffled array
+ */
+export function shuffle(array, random = Math.random) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
 /**
  * Create a logger with optional debug mode
  * @param {string} prefix - Logger prefix
@@ -198,6 +270,115 @@ export function downloadImage(dataUrl, filename) {
   document.body.removeChild(link);
 }
 
+/**
+ * Download a Blob (zip, JSON, …) through a temporary object URL
+ * @param {Blob} blob - The data to save
+ * @param {string} filename - The filename to save as
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  downloadImage(url, filename);
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Compute the CRC-32 of a byte array, as used by PNG chunks and zip files.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let k = 0; k < 8; k++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC).
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Uint8Array}
+ */
+function createPngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  return chunk;
+}
+
+/**
+ * Build a text chunk: tEXt when the text is Latin-1, otherwise an
+ * uncompressed iTXt chunk holding it as UTF-8 (emoji, most scripts).
+ * @param {string} keyword - Latin-1 keyword, 1–79 characters
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function createPngTextChunk(keyword, text) {
+  const latin1 = value => Uint8Array.from(value, c => c.charCodeAt(0) & 0xff);
+  if (/^[\u0000-\u00ff]*$/.test(text)) {
+    return createPngChunk('tEXt', latin1(`${keyword}\0${text}`));
+  }
+
+  // keyword \0, compression flag 0, method 0, empty language tag \0, empty translated keyword \0
+  const head = latin1(`${keyword}\0\0\0\0\0`);
+  const body = new TextEncoder().encode(text);
+  const data = new Uint8Array(head.length + body.length);
+  data.set(head, 0);
+  data.set(body, head.length);
+  return createPngChunk('iTXt', data);
+}
+
+/**
+ * Embed key/value text metadata (tEXt or iTXt chunks) and optionally the print
+ * resolution (pHYs chunk) into a PNG file.
+ * @param {Uint8Array} png - PNG file bytes, e.g. from canvas.toBlob
+ * @param {Object} metadata - Keyword (Latin-1) → text (any Unicode)
+ * @param {number} [dpi] - Print resolution in dots per inch
+ * @returns {Uint8Array} The PNG file with metadata
+ */
+export function addPngMetadata(png, metadata, dpi) {
+  // Chunks go right after the signature (8 bytes) and the IHDR chunk (25 bytes)
+  const insertAt = 33;
+  const chunks = [];
+
+  if (dpi) {
+    // Pixels per meter on both axes, unit = meter
+    const data = new Uint8Array(9);
+    const view = new DataView(data.buffer);
+    const ppm = Math.round(dpi / 0.0254);
+    view.setUint32(0, ppm);
+    view.setUint32(4, ppm);
+    data[8] = 1;
+    chunks.push(createPngChunk('pHYs', data));
+  }
+
+  for (const [keyword, text] of Object.entries(metadata)) {
+    chunks.push(createPngTextChunk(keyword, String(text)));
+  }
+
+  const total = png.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(total);
+  result.set(png.subarray(0, insertAt), 0);
+
+  let offset = insertAt;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  result.set(png.subarray(insertAt), offset);
+  return result;
+}
+
 /**
  * Show a message in a container
  * @param {HTMLElement} container - The container to show the message in
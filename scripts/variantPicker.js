@@ -0,0 +1,200 @@
+// variantPicker.js
+// Popup for choosing between the photo variants of a single glyph
+import { CUTOUT_METHODS, DEFAULT_CUTOUT_OPTIONS } from './cutout.js';
+
+const METHOD_LABELS = {
+  floodFill: 'Flood fill',
+  colorKey: 'Color key',
+  threshold: 'Threshold'
+};
+
+export default class VariantPicker {
+  constructor() {
+    this.element = null;
+
+    // Close on outside clicks and Escape
+    this._onDocumentMouseDown = event => {
+      if (this.element && !this.element.contains(event.target)) {
+        this.close();
+      }
+    };
+    this._onKeyDown = event => {
+      if (event.key === 'Escape') {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Show the picker at a page position.
+   * @param {Object} options
+   * @param {number} options.x - Viewport x coordinate of the top-left corner
+   * @param {number} options.y - Viewport y coordinate of the top-left corner
+   * @param {string} options.title - Heading, e.g. the character
+   * @param {string[]} options.variants - Asset paths to choose from
+   * @param {Function} [options.getImageUrl] - Maps a path to a loadable URL (default: the path)
+   * @param {string} [options.currentPath] - The variant shown now
+   * @param {boolean} [options.locked] - Whether the glyph is locked
+   * @param {Function} options.onSelect - Called with the chosen path
+   * @param {Function} [options.onUnlock] - Called when the lock is released
+   * @param {Object} [options.cutout] - { options, onChange } to tune this glyph's
+   *   background removal; onChange receives the new cutout options
+   * @param {Object} [options.adjustments] - { options, onChange } to tune this
+   *   glyph's own photo adjustments, layered over the composition's
+   */
+  open({ x, y, title, variants, currentPath, getImageUrl = path => path, locked = false,
+    onSelect, onUnlock, cutout, adjustments }) {
+    this.close();
+
+    const picker = document.createElement('div');
+    picker.className = 'variant-picker';
+    picker.innerHTML = `
+      <div class="variant-picker-header">
+        <span class="variant-picker-title"></span>
+        <button type="button" class="variant-picker-close" title="Close">×</button>
+      </div>
+      <div class="variant-picker-grid"></div>
+    `;
+
+    // The title quotes the user's text
+    picker.querySelector('.variant-picker-title').textContent = title;
+
+    const grid = picker.querySelector('.variant-picker-grid');
+    if (variants.length === 0) {
+      grid.innerHTML = '<p class="variant-picker-empty">No photos for this letter yet.</p>';
+    }
+
+    variants.forEach((path, i) => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'variant-option' + (path === currentPath ? ' selected' : '');
+      option.title = `Variant ${i + 1}`;
+
+      const img = document.createElement('img');
+      img.src = getImageUrl(path);
+      img.alt = `Variant ${i + 1}`;
+      option.appendChild(img);
+
+      option.addEventListener('click', () => {
+        this.close();
+        onSelect(path);
+      });
+      grid.appendChild(option);
+    });
+
+    if (cutout) {
+      picker.appendChild(this._createCutoutControls(cutout.options, cutout.onChange));
+    }
+
+    if (adjustments) {
+      picker.appendChild(this._createAdjustmentControls(adjustments.options, adjustments.onChange));
+    }
+
+    if (locked && onUnlock) {
+      const footer = document.createElement('div');
+      footer.className = 'variant-picker-footer';
+      footer.innerHTML = '<button type="button" class="variant-picker-unlock">Unlock</button>';
+      footer.querySelector('button').addEventListener('click', () => {
+        this.close();
+        onUnlock();
+      });
+      picker.appendChild(footer);
+    }
+
+    picker.querySelector('.variant-picker-close').addEventListener('click', () => this.close());
+
+    document.body.appendChild(picker);
+    this.element = picker;
+
+    // Keep the popup inside the viewport
+    const rect = picker.getBoundingClientRect();
+    const left = Math.max(8, Math.min(x, window.innerWidth - rect.width - 8));
+    const top = Math.max(8, Math.min(y, window.innerHeight - rect.height - 8));
+    picker.style.left = `${left}px`;
+    picker.style.top = `${top}px`;
+
+    // Defer so the click that opened the picker doesn't close it
+    setTimeout(() => {
+      document.addEventListener('mousedown', this._onDocumentMouseDown);
+      document.addEventListener('keydown', this._onKeyDown);
+    }, 0);
+  }
+
+  /**
+   * Controls for one glyph's cutout method, tolerance and softness.
+   * Changes apply when a control is released.
+   */
+  _createCutoutControls(options = {}, onChange) {
+    const settings = { ...DEFAULT_CUTOUT_OPTIONS, ...options };
+    const section = document.createElement('div');
+    section.className = 'variant-picker-tuning';
+    section.innerHTML = `
+      <label>Cutout
+        <select name="method">
+          ${CUTOUT_METHODS.map(method => `<option value="${method}">${METHOD_LABELS[method] || method}</option>`).join('')}
+        </select>
+      </label>
+      <label>Tolerance <input type="range" name="tolerance" min="0" max="100" step="1"></label>
+      <label>Softness <input type="range" name="softness" min="0" max="50" step="1"></label>
+    `;
+
+    const method = section.querySelector('[name="method"]');
+    const tolerance = section.querySelector('[name="tolerance"]');
+    const softness = section.querySelector('[name="softness"]');
+    method.value = settings.method;
+    tolerance.value = settings.tolerance;
+    softness.value = settings.softness;
+
+    const emit = () => onChange({
+      method: method.value,
+      tolerance: Number(tolerance.value),
+      softness: Number(softness.value)
+    });
+    [method, tolerance, softness].forEach(control => control.addEventListener('change', emit));
+
+    return section;
+  }
+
+  /**
+   * Controls for one glyph's auto-levels, contrast and saturation.
+   * Changes apply when a control is released.
+   */
+  _createAdjustmentControls(options, onChange) {
+    const settings = { autoLevels: false, contrast: 0, saturation: 0, ...options };
+    const section = document.createElement('div');
+    section.className = 'variant-picker-tuning';
+    section.innerHTML = `
+      <label>Auto levels <input type="checkbox" name="autoLevels"></label>
+      <label>Contrast <input type="range" name="contrast" min="-100" max="100" step="5"></label>
+      <label>Saturation <input type="range" name="saturation" min="-100" max="100" step="5"></label>
+    `;
+
+    const autoLevels = section.querySelector('[name="autoLevels"]');
+    const contrast = section.querySelector('[name="contrast"]');
+    const saturation = section.querySelector('[name="saturation"]');
+    autoLevels.checked = settings.autoLevels;
+    contrast.value = settings.contrast;
+    saturation.value = settings.saturation;
+
+    const emit = () => onChange({
+      autoLevels: autoLevels.checked,
+      contrast: Number(contrast.value),
+      saturation: Number(saturation.value)
+    });
+    [autoLevels, contrast, saturation].forEach(control => control.addEventListener('change', emit));
+
+    return section;
+  }
+
+  /**
+   * Remove the picker if it is open.
+   */
+  close() {
+    if (!this.element) return;
+
+    this.element.remove();
+    this.element = null;
+    document.removeEventListener('mousedown', this._onDocumentMouseDown);
+    document.removeEventListener('keydown', this._onKeyDown);
+  }
+}
@@ -0,0 +1,251 @@
+// vectorExport.js
+// SVG and PDF output built from a renderer scene (see VisualRenderer.getScene)
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * Escape text for use in XML content and attributes.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a number compactly for SVG/PDF output.
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Build an SVG document of the scene, sized to the poster's physical size.
+ * Photos and generated fallback glyphs become embedded <image> elements (PNG for
+ * the glyphs); hyphens and letters still loading are drawn as real text.
+ * @param {Object} scene - From VisualRenderer.getScene()
+ * @param {Object} [metadata] - Key/value pairs written to the SVG <desc>
+ * @returns {string} SVG markup
+ */
+export function createSvg(scene, metadata = {}) {
+  const parts = [];
+  const { width, height } = scene;
+
+  parts.push('<?xml version="1.0" encoding="UTF-8"?>');
+  parts.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+    `width="${scene.physicalWidth}in" height="${scene.physicalHeight}in" ` +
+    `viewBox="0 0 ${num(width)} ${num(height)}">`
+  );
+
+  const description = Object.entries(metadata).map(([key, value]) => `${key}: ${value}`).join('\n');
+  if (description) {
+    parts.push(`  <desc>${escapeXml(description)}</desc>`);
+  }
+
+  parts.push(`  <rect width="100%" height="100%" fill="${scene.background}"/>`);
+
+  for (const item of scene.items) {
+    if (item.kind === 'image') {
+      parts.push(
+        `  <image x="${num(item.x)}" y="${num(item.y)}" width="${num(item.width)}" height="${num(item.height)}" ` +
+        `preserveAspectRatio="none" href="${item.src}" xlink:href="${item.src}"><title>${escapeXml(item.char)}</title></image>`
+      );
+    } else {
+      parts.push(
+        `  <g>` +
+        `<rect x="${num(item.x)}" y="${num(item.y)}" width="${num(item.width)}" height="${num(item.height)}" ` +
+        `fill="${item.bg}" stroke="${item.stroke}" stroke-width="1"/>` +
+        `<text x="${num(item.x + item.width / 2)}" y="${num(item.y + item.height / 2)}" ` +
+        `font-family="sans-serif" font-size="${num(item.height * 0.6)}" fill="${item.fill}" ` +
+        `text-anchor="middle" dominant-baseline="central">${escapeXml(item.char)}</text>` +
+        `</g>`
+      );
+    }
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Decode a base64 data URL into bytes.
+ */
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Re-encode an image data URL as JPEG (PDF embeds JPEG data directly),
+ * flattening any transparency onto white.
+ * @returns {Promise<{bytes: Uint8Array, width: number, height: number}>}
+ */
+function toJpeg(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0);
+      resolve({
+        bytes: dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92)),
+        width: canvas.width,
+        height: canvas.height
+      });
+    };
+    img.onerror = () => reject(new Error('Could not decode image for PDF export'));
+    img.src = src;
+  });
+}
+
+/**
+ * Convert a CSS hex color to PDF RGB operands ("r g b").
+ */
+function pdfColor(hex) {
+  let value = hex.replace('#', '');
+  if (value.length === 3) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  return [0, 2, 4]
+    .map(i => num(parseInt(value.slice(i, i + 2), 16) / 255))
+    .join(' ');
+}
+
+/**
+ * Escape a string for a PDF literal, mapping characters outside WinAnsi to "?".
+ */
+function pdfString(text) {
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    const safe = code < 256 ? char : '?';
+    result += safe === '(' || safe === ')' || safe === '\\' ? `\\${safe}` : safe;
+  }
+  return `(${result})`;
+}
+
+/**
+ * Encode a PDF string as single bytes. Text has already been limited to
+ * Latin-1 by pdfString, so every character maps to one byte.
+ */
+function latin1(text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Estimate the width of text in Helvetica, for centering text glyphs.
+ */
+function measureHelvetica(text, size) {
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = `${size}px Helvetica, Arial, sans-serif`;
+  return ctx.measureText(text).width;
+}
+
+/**
+ * Build a single-page PDF of the scene at the poster's physical size.
+ * @param {Object} scene - From VisualRenderer.getScene()
+ * @param {Object} [metadata] - Key/value pairs written to the PDF info dictionary
+ * @returns {Promise<Blob>} application/pdf
+ */
+export async function createPdf(scene, metadata = {}) {
+  const pageWidth = scene.physicalWidth * POINTS_PER_INCH;
+  const pageHeight = scene.physicalHeight * POINTS_PER_INCH;
+  const scale = pageWidth / scene.width;
+
+  // Scene coordinates have y pointing down; PDF user space points up
+  const px = x => num(x * scale);
+  const py = y => num(pageHeight - y * scale);
+
+  const images = [];
+  const ops = [];
+
+  ops.push(`${pdfColor(scene.background)} rg 0 0 ${num(pageWidth)} ${num(pageHeight)} re f`);
+
+  for (const item of scene.items) {
+    if (item.kind === 'image') {
+      const name = `Im${images.length}`;
+      images.push({ name, ...(await toJpeg(item.src)) });
+      ops.push(
+        `q ${num(item.width * scale)} 0 0 ${num(item.height * scale)} ${px(item.x)} ${py(item.y + item.height)} cm /${name} Do Q`
+      );
+    } else {
+      const size = item.height * 0.6 * scale;
+      const textWidth = measureHelvetica(item.char, size);
+      const baseline = (item.y + item.height / 2) * scale + size * 0.35;
+      ops.push(
+        `${pdfColor(item.bg)} rg ${pdfColor(item.stroke)} RG ${num(scale)} w ` +
+        `${px(item.x)} ${py(item.y + item.height)} ${num(item.width * scale)} ${num(item.height * scale)} re B`
+      );
+      ops.push(
+        `BT ${pdfColor(item.fill)} rg /F1 ${num(size)} Tf ` +
+        `${num((item.x + item.width / 2) * scale - textWidth / 2)} ${num(pageHeight - baseline)} Td ` +
+        `${pdfString(item.char)} Tj ET`
+      );
+    }
+  }
+
+  // Objects: 1 catalog, 2 pages, 3 page, 4 font, 5 content, 6 info, 7+ images
+  const content = latin1(ops.join('\n'));
+  const xObjects = images.map((image, i) => `/${image.name} ${7 + i} 0 R`).join(' ');
+  const info = [
+    '/Producer (StreetType)',
+    ...Object.entries(metadata).map(([key, value]) =>
+      `/${key.replace(/[^A-Za-z0-9_-]/g, '')} ${pdfString(value)}`
+    )
+  ].join(' ');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+      `/Resources << /Font << /F1 4 0 R >> /XObject << ${xObjects} >> >> /Contents 5 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    { dict: `<< /Length ${content.length} >>`, stream: content },
+    `<< ${info} >>`,
+    ...images.map(image => ({
+      dict: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+      stream: image.bytes
+    }))
+  ];
+
+  // Serialize, recording each object's byte offset for the xref table
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = data => {
+    const bytes = typeof data === 'string' ? latin1(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  // The binary comment marks the file as binary for transfer tools
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  objects.forEach((object, i) => {
+    offsets.push(length);
+    write(`${i + 1} 0 obj\n`);
+    if (typeof object === 'string') {
+      write(`${object}\n`);
+    } else {
+      write(`${object.dict}\nstream\n`);
+      write(object.stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
@@ -0,0 +1,236 @@
+// tools/buildManifest.mjs
+// Walks the assets/ tree and writes assets/manifest.json so the app can look up
+// letter variants without probing image URLs one by one.
+//
+// Usage: node tools/buildManifest.mjs [assetsDir] [outputFile]
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const MANIFEST_VERSION = 1;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Folders that hold glyphs without a style/case level underneath them
+const FLAT_CATEGORIES = ['Numbers', 'numbers', 'Symbols', 'symbols'];
+
+// Style key used for glyphs that live directly in a character folder
+const DEFAULT_STYLE = 'default';
+
+/**
+ * Read the pixel size of a JPEG or PNG from its header bytes.
+ * @param {Buffer} buffer - File contents
+ * @returns {{width: number, height: number}|null} Dimensions, or null if unknown
+ */
+function readImageSize(buffer) {
+  // PNG: fixed IHDR chunk right after the 8-byte signature
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the marker segments until a start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      // Standalone markers carry no length
+      if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+        offset += 2;
+        continue;
+      }
+      const length = buffer.readUInt16BE(offset + 2);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf &&
+        marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return {
+          height: buffer.readUInt16BE(offset + 5),
+          width: buffer.readUInt16BE(offset + 7)
+        };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the visible entries of a directory, or an empty list if it is missing.
+ */
+async function listDir(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => !entry.name.startsWith('.'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Read the optional metadata sidecar of an image: "03.json" next to "03.jpg"
+ * with photographer, date, address, lat/lng and license fields.
+ * @returns {Promise<Object|null>} Parsed metadata, or null if there is none
+ */
+async function readSidecar(imagePath) {
+  const sidecarPath = imagePath.slice(0, -path.extname(imagePath).length) + '.json';
+  try {
+    return JSON.parse(await fs.readFile(sidecarPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Could not read metadata sidecar ${sidecarPath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Collect the image files of one variant folder with their dimensions.
+ * @param {string} dir - Absolute folder path
+ * @param {string} rootDir - Directory that web paths are relative to
+ * @returns {Promise<Object[]>} File entries { path, width, height, metadata? }
+ */
+async function collectImages(dir, rootDir) {
+  const files = [];
+  for (const entry of await listDir(dir)) {
+    if (!entry.isFile()) continue;
+    if (!IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+
+    const fullPath = path.join(dir, entry.name);
+    const size = readImageSize(await fs.readFile(fullPath));
+    if (!size) {
+      console.warn(`Could not read image size: ${fullPath}`);
+    }
+
+    const file = {
+      path: path.relative(rootDir, fullPath).split(path.sep).join('/'),
+      width: size ? size.width : null,
+      height: size ? size.height : null
+    };
+    const metadata = await readSidecar(fullPath);
+    if (metadata) {
+      file.metadata = metadata;
+    }
+    files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Add files to manifest[character][style], merging folders that map to the same key
+ * (e.g. both `alphabet/` and `Alphabet/` in a city).
+ */
+function addFiles(target, character, style, files) {
+  if (files.length === 0) return;
+  target[character] = target[character] || {};
+  target[character][style] = (target[character][style] || []).concat(files);
+}
+
+/**
+ * Scan a folder of character folders, each holding style/case folders.
+ */
+async function scanStyledCharacters(dir, rootDir, target) {
+  for (const charEntry of await listDir(dir)) {
+    if (!charEntry.isDirectory()) continue;
+    const charDir = path.join(dir, charEntry.name);
+    for (const styleEntry of await listDir(charDir)) {
+      if (!styleEntry.isDirectory()) continue;
+      const files = await collectImages(path.join(charDir, styleEntry.name), rootDir);
+      addFiles(target, charEntry.name, styleEntry.name, files);
+    }
+  }
+}
+
+/**
+ * Scan a folder of character folders that directly hold images (Numbers, Symbols).
+ */
+async function scanFlatCharacters(dir, rootDir, target) {
+  for (const charEntry of await listDir(dir)) {
+    if (!charEntry.isDirectory()) continue;
+    const files = await collectImages(path.join(dir, charEntry.name), rootDir);
+    addFiles(target, charEntry.name, DEFAULT_STYLE, files);
+  }
+}
+
+/**
+ * Build the manifest object for an assets directory.
+ * @param {string} assetsDir - Path to the assets/ folder
+ * @returns {Promise<Object>} Manifest data
+ */
+export async function buildManifest(assetsDir) {
+  const rootDir = path.dirname(path.resolve(assetsDir));
+  const assetsRoot = path.resolve(assetsDir);
+  const manifest = {
+    version: MANIFEST_VERSION,
+    generated: new Date().toISOString(),
+    cities: {},
+    shared: {}
+  };
+
+  // City packs: assets/Alphabet/cities/<city>/{alphabet,Alphabet,Numbers,Symbols}
+  const citiesDir = path.join(assetsRoot, 'Alphabet', 'cities');
+  for (const cityEntry of await listDir(citiesDir)) {
+    if (!cityEntry.isDirectory()) continue;
+    const city = {};
+    const cityDir = path.join(citiesDir, cityEntry.name);
+
+    for (const groupEntry of await listDir(cityDir)) {
+      if (!groupEntry.isDirectory()) continue;
+      const groupDir = path.join(cityDir, groupEntry.name);
+      if (FLAT_CATEGORIES.includes(groupEntry.name)) {
+        await scanFlatCharacters(groupDir, rootDir, city);
+      } else {
+        await scanStyledCharacters(groupDir, rootDir, city);
+      }
+    }
+
+    manifest.cities[cityEntry.name] = city;
+  }
+
+  // City-independent glyphs: assets/Numbers and assets/Symbols
+  for (const category of FLAT_CATEGORIES) {
+    await scanFlatCharacters(path.join(assetsRoot, category), rootDir, manifest.shared);
+  }
+
+  return manifest;
+}
+
+/**
+ * Count the image files referenced by a manifest section.
+ */
+function countFiles(section) {
+  let count = 0;
+  for (const styles of Object.values(section)) {
+    for (const files of Object.values(styles)) {
+      count += files.length;
+    }
+  }
+  return count;
+}
+
+async function main() {
+  const assetsDir = process.argv[2] || 'assets';
+  const outputFile = process.argv[3] || path.join(assetsDir, 'manifest.json');
+
+  const manifest = await buildManifest(assetsDir);
+  await fs.writeFile(outputFile, JSON.stringify(manifest, null, 2) + '\n');
+
+  for (const [city, characters] of Object.entries(manifest.cities)) {
+    console.log(`${city}: ${countFiles(characters)} images`);
+  }
+  console.log(`shared: ${countFiles(manifest.shared)} images`);
+  console.log(`Manifest written to ${outputFile}`);
+}
+
+// Only run when invoked directly, not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname)) {
+  main().catch(error => {
+    console.error('Failed to build manifest:', error);
+    process.exit(1);
+  });
+}